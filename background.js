@@ -2,6 +2,11 @@
 
 console.log('Service worker starting...');
 
+// Supported platforms: URL patterns, display names and extractor files
+importScripts('utils/platform-registry.js');
+const platformRegistry = new PlatformRegistry();
+checkHostPermissions();
+
 // Listen for messages from the popup script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // SECURITY FIX: Enhanced message origin validation
@@ -21,6 +26,16 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
     if (message.action === 'exportConversation') {
         handleExport(message, sendResponse);
+    } else if (message.action === 'startBulkExport') {
+        handleStartBulkExport(message, sendResponse);
+    } else if (message.action === 'resumeBulkExport') {
+        handleResumeBulkExport(sendResponse);
+    } else if (message.action === 'cancelBulkExport') {
+        handleCancelBulkExport(sendResponse);
+    } else if (message.action === 'getBulkExportStatus') {
+        getBulkExportJob().then(job => sendResponse({ success: true, status: summarizeBulkJob(job) }));
+    } else {
+        return;
     }
 
     // Return true to indicate you wish to send a response asynchronously
@@ -29,6 +44,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 async function handleExport(message, sendResponse) {
     const { format, tabId, platform } = message;
+    const options = normalizeExportOptions(message.options);
 
     console.log(`Received export request for platform: ${platform}, format: ${format}`);
 
@@ -53,17 +69,13 @@ async function handleExport(message, sendResponse) {
     }
 
     try {
-        // Inject the content processor first, then the extractor
-        await chrome.scripting.executeScript({
-            target: { tabId: tabId },
-            files: ['utils/content-processor.js', `extractors/${platform}-extractor.js`],
-        });
-        console.log(`Successfully injected content-processor.js and ${platform}-extractor.js`);
+        await injectExtractor(tabId, platform);
 
         // Send a message to the content script to start the extraction
         const response = await chrome.tabs.sendMessage(tabId, {
             action: 'extractConversation',
             format: format,
+            options: options,
         });
 
         console.log('Received response from content script:', response);
@@ -71,8 +83,19 @@ async function handleExport(message, sendResponse) {
         if (response && response.success) {
             // Download the file using offscreen document approach
             try {
-                await downloadFileWithOffscreen(response.filename, response.content, format);
-                sendResponse({ success: true });
+                // Extra files (images, code, ...) turn the export into a ZIP with the conversation inside
+                let warning;
+                if (Array.isArray(response.files) && response.files.length > 0) {
+                    warning = await downloadArchiveWithOffscreen(
+                        response.filename.replace(/\.[^./]+$/, '') + '.zip',
+                        buildExportArchive(response, format),
+                        options.saveAs,
+                        paths => buildExportManifest(paths, format)
+                    );
+                } else {
+                    warning = await downloadFileWithOffscreen(response.filename, response.content, format, options.saveAs);
+                }
+                sendResponse({ success: true, warning: warning });
             } catch (downloadError) {
                 console.error('Download failed:', downloadError);
                 sendResponse({ success: false, error: 'Download failed: ' + downloadError.message });
@@ -86,12 +109,48 @@ async function handleExport(message, sendResponse) {
     }
 }
 
-// Modern approach using offscreen document for blob handling
-async function downloadFileWithOffscreen(filename, content, format) {
+// Inject the shared utilities first, then the platform extractor
+async function injectExtractor(tabId, platform) {
+    const files = platformRegistry.getContentScripts(platform);
+    await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        files: files,
+    });
+    console.log(`Successfully injected content scripts and ${files[files.length - 1]}`);
+}
+
+// Files for a single-conversation archive: the export first, then its extra files.
+// Download subfolders from the filename template apply to the archive, not to the files inside it.
+function buildExportArchive(response, format) {
+    const conversationFile = fileBaseName(response.filename);
+    const extraFiles = response.files
+        .filter(file => file && typeof file.path === 'string' && (typeof file.content === 'string' || typeof file.dataUrl === 'string'))
+        .map(file => (file.dataUrl ? { path: file.path, dataUrl: file.dataUrl } : { path: file.path, content: file.content }));
+
+    return [toArchiveFile(conversationFile, response.content, format), ...extraFiles];
+}
+
+// manifest.json of a single-conversation archive, from the paths the files were stored under
+function buildExportManifest(paths, format) {
+    return {
+        exportedAt: new Date().toISOString(),
+        format: format,
+        conversation: paths[0],
+        files: paths.slice(1)
+    };
+}
+
+// Modern approach using offscreen document for blob handling.
+// Resolves to a warning about the file for the popup, or null.
+async function downloadFileWithOffscreen(filename, content, format, saveAs = false) {
     const mimeTypes = {
         'markdown': 'text/markdown',
         'text': 'text/plain',
         'json': 'application/json',
+        'html': 'text/html',
+        'pdf': 'application/pdf',
+        // Index of a code export without any code files
+        'code': 'text/markdown',
     };
     const mimeType = mimeTypes[format] || 'text/plain';
 
@@ -100,8 +159,9 @@ async function downloadFileWithOffscreen(filename, content, format) {
         await ensureOffscreenDocument();
 
         // Send content to offscreen document to create blob URL
+        // PDF content is a document model that the offscreen document lays out into pages
         const response = await chrome.runtime.sendMessage({
-            action: 'createDownloadUrl',
+            action: format === 'pdf' ? 'createPdfUrl' : 'createDownloadUrl',
             content: content,
             mimeType: mimeType
         });
@@ -111,21 +171,11 @@ async function downloadFileWithOffscreen(filename, content, format) {
         }
 
         // Use the blob URL for download
-        return new Promise((resolve, reject) => {
-            chrome.downloads.download({
-                url: response.url,
-                filename: filename,
-                saveAs: false,
-            }, (downloadId) => {
-                if (chrome.runtime.lastError) {
-                    console.error('Download failed:', chrome.runtime.lastError.message);
-                    reject(new Error(chrome.runtime.lastError.message));
-                } else {
-                    console.log(`Download started with ID: ${downloadId}`);
-                    resolve(downloadId);
-                }
-            });
-        });
+        await startDownload(response.url, filename, saveAs);
+        if (response.warning) {
+            console.warn(response.warning);
+        }
+        return response.warning || null;
 
     } catch (error) {
         console.error('Error in downloadFileWithOffscreen:', error);
@@ -133,6 +183,108 @@ async function downloadFileWithOffscreen(filename, content, format) {
     }
 }
 
+// Bundle several files into one ZIP download, built in the offscreen document.
+// buildManifest, if given, turns the paths the files were stored under into a manifest.json index.
+// Resolves to a warning about the files for the popup, or null.
+async function downloadArchiveWithOffscreen(filename, files, saveAs = false, buildManifest = null) {
+    const archiveId = await openOffscreenArchive();
+    try {
+        const paths = await addToOffscreenArchive(archiveId, files);
+        if (buildManifest) {
+            await addToOffscreenArchive(archiveId, [{ path: 'manifest.json', content: JSON.stringify(buildManifest(paths), null, 2) }]);
+        }
+        const response = await closeOffscreenArchive(archiveId);
+
+        await startDownload(response.url, filename, saveAs);
+        if (response.warning) {
+            console.warn(response.warning);
+        }
+        return response.warning || null;
+
+    } catch (error) {
+        console.error('Error in downloadArchiveWithOffscreen:', error);
+        discardOffscreenArchive(archiveId);
+        throw error;
+    }
+}
+
+// Start a ZIP archive in the offscreen document and resolve to its id. Files are sent to it in
+// batches, since a single message carrying every conversation and attachment can exceed the
+// extension messaging limit.
+async function openOffscreenArchive() {
+    await ensureOffscreenDocument();
+    const response = await sendOffscreenMessage({ action: 'startZip' });
+    return response.archiveId;
+}
+
+// Add files to an archive in batches. Resolves to the paths they were stored under, which the
+// ZIP writer numbers when a path is already taken ("name (2).png").
+async function addToOffscreenArchive(archiveId, files) {
+    const paths = [];
+    let batch = [];
+    let batchSize = 0;
+    const sendBatch = async () => {
+        const response = await sendOffscreenMessage({ action: 'addZipFiles', archiveId: archiveId, files: batch });
+        paths.push(...response.paths);
+        batch = [];
+        batchSize = 0;
+    };
+
+    for (const file of files) {
+        const size = (file.content || file.dataUrl || '').length;
+        if (batch.length > 0 && batchSize + size > ARCHIVE_BATCH_SIZE) {
+            await sendBatch();
+        }
+        batch.push(file);
+        batchSize += size;
+    }
+    if (batch.length > 0) {
+        await sendBatch();
+    }
+    return paths;
+}
+
+// Resolves to { url, warning } for the finished archive
+function closeOffscreenArchive(archiveId) {
+    return sendOffscreenMessage({ action: 'finishZip', archiveId: archiveId });
+}
+
+function discardOffscreenArchive(archiveId) {
+    chrome.runtime.sendMessage({ action: 'discardZip', archiveId: archiveId }).catch(() => {});
+}
+
+async function sendOffscreenMessage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Failed to create ZIP archive');
+    }
+    return response;
+}
+
+// Turn an export into an archive entry; PDF models are laid out by the offscreen document
+function toArchiveFile(path, content, format) {
+    return format === 'pdf' ? { path, content, render: 'pdf' } : { path, content };
+}
+
+// filename may contain subfolders, relative to the browser's download directory
+function startDownload(url, filename, saveAs = false) {
+    return new Promise((resolve, reject) => {
+        chrome.downloads.download({
+            url: url,
+            filename: filename,
+            saveAs: saveAs,
+        }, (downloadId) => {
+            if (chrome.runtime.lastError) {
+                console.error('Download failed:', chrome.runtime.lastError.message);
+                reject(new Error(chrome.runtime.lastError.message));
+            } else {
+                console.log(`Download started with ID: ${downloadId}`);
+                resolve(downloadId);
+            }
+        });
+    });
+}
+
 // Ensure offscreen document exists
 async function ensureOffscreenDocument() {
     try {
@@ -150,7 +302,7 @@ async function ensureOffscreenDocument() {
         await chrome.offscreen.createDocument({
             url: chrome.runtime.getURL('offscreen.html'),
             reasons: ['BLOBS'],
-            justification: 'Create blob URLs for file downloads in Manifest V3'
+            justification: 'Create blob URLs and render PDFs for file downloads in Manifest V3'
         });
 
         console.log('Offscreen document created');
@@ -162,43 +314,428 @@ async function ensureOffscreenDocument() {
 
 // SECURITY: Input validation functions
 function isValidPlatform(platform) {
-    const validPlatforms = ['chatgpt', 'claude', 'gemini', 'grok'];
-    return typeof platform === 'string' && validPlatforms.includes(platform);
+    return typeof platform === 'string' && platformRegistry.get(platform) !== null;
 }
 
 function isValidFormat(format) {
-    const validFormats = ['text', 'markdown', 'json'];
+    const validFormats = ['text', 'markdown', 'json', 'html', 'pdf', 'code'];
     return typeof format === 'string' && validFormats.includes(format);
 }
 
+// Only known option keys with the expected types are forwarded to the content script
+function normalizeExportOptions(options) {
+    const defaults = {
+        filenameStyle: 'url',
+        filenameTemplate: '{platform}/{date}_{title}',
+        saveAs: false,
+        includeMetadata: true,
+        includeTimestamps: false,
+        includeThinking: false,
+        includeAttachments: true,
+        embedAttachments: false,
+        saveTablesAsCsv: false,
+        includeAllVersions: false
+    };
+    const validFilenameStyles = ['url', 'title', 'platform', 'template'];
+
+    if (!options || typeof options !== 'object') {
+        return defaults;
+    }
+
+    const normalized = { ...defaults };
+    for (const key of ['includeMetadata', 'includeTimestamps', 'includeThinking', 'includeAttachments', 'embedAttachments', 'saveTablesAsCsv', 'includeAllVersions', 'saveAs']) {
+        if (typeof options[key] === 'boolean') {
+            normalized[key] = options[key];
+        }
+    }
+    if (validFilenameStyles.includes(options.filenameStyle)) {
+        normalized.filenameStyle = options.filenameStyle;
+    }
+    // The template is sanitized into a safe path when the filename is built
+    if (typeof options.filenameTemplate === 'string' && options.filenameTemplate.trim()) {
+        normalized.filenameTemplate = options.filenameTemplate.trim().substring(0, 200);
+    }
+
+    return normalized;
+}
+
 function isValidUrl(url) {
-    if (typeof url !== 'string') return false;
+    return platformRegistry.isSupportedUrl(url);
+}
+
+// manifest.json cannot read the registry, so flag host permissions that have drifted from it
+function checkHostPermissions() {
+    const granted = chrome.runtime.getManifest().host_permissions || [];
+    const required = platformRegistry.getHostPermissions();
+
+    const missing = required.filter(pattern => !granted.includes(pattern));
+    if (missing.length > 0) {
+        console.warn('manifest.json is missing host permissions for registered platforms:', missing);
+    }
+    const unused = granted.filter(pattern => !required.includes(pattern));
+    if (unused.length > 0) {
+        console.warn('manifest.json grants host permissions no registered platform uses:', unused);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Bulk export: visit every conversation in the sidebar history in a background tab
+// ---------------------------------------------------------------------------
+
+const BULK_EXPORT_SETTINGS = {
+    throttleMs: 3000,            // Pause between conversations to avoid hammering the platform
+    pageLoadTimeoutMs: 30000,    // Give up on a conversation whose page never finishes loading
+    renderDelayMs: 2000,         // Let the chat UI render messages after the page load event
+    extractionAttempts: 3,       // Retry extraction while messages are still rendering
+    retryDelayMs: 2500
+};
+
+// Largest batch of archive files sent to the offscreen document in one message, in characters;
+// extension messages are limited to 64 MiB of JSON
+const ARCHIVE_BATCH_SIZE = 16 * 1024 * 1024;
+
+const BULK_JOB_KEY = 'bulkExportJob';
+const BULK_RESULT_PREFIX = 'bulkExportResult:';
+
+let activeBulkRun = null;
+
+async function handleStartBulkExport(message, sendResponse) {
+    const { format, tabId, platform } = message;
+    const options = normalizeExportOptions(message.options);
+
+    if (activeBulkRun) {
+        sendResponse({ success: false, error: 'A bulk export is already running.' });
+        return;
+    }
+    if (!tabId || !isValidPlatform(platform)) {
+        sendResponse({ success: false, error: 'Invalid platform specified.' });
+        return;
+    }
+    if (!isValidFormat(format)) {
+        sendResponse({ success: false, error: 'Invalid format specified.' });
+        return;
+    }
 
     try {
-        const urlObj = new URL(url);
-        // Only allow https and http protocols
-        if (!['https:', 'http:'].includes(urlObj.protocol)) {
-            return false;
+        await injectExtractor(tabId, platform);
+        const response = await chrome.tabs.sendMessage(tabId, { action: 'listConversations' });
+        if (!response || !response.success) {
+            throw new Error((response && response.error) || 'Could not read the conversation list.');
         }
 
-        // Check against allowed domains
-        const allowedDomains = [
-            'chat.openai.com',
-            'chatgpt.com',
-            'claude.ai',
-            'gemini.google.com',
-            'x.com',
-            'grok.com'
-        ];
+        const conversations = response.conversations
+            .filter(conversation => isValidUrl(conversation.url))
+            .map(conversation => ({ url: conversation.url, title: conversation.title, status: 'pending', error: null }));
+
+        if (conversations.length === 0) {
+            throw new Error('No conversations were found in the sidebar. Open the sidebar and try again.');
+        }
 
-        return allowedDomains.some(domain =>
-            urlObj.hostname === domain || urlObj.hostname.endsWith('.' + domain)
-        );
-    } catch {
-        return false;
+        await clearBulkExport();
+        const job = {
+            platform,
+            format,
+            options,
+            status: 'running',
+            startedAt: new Date().toISOString(),
+            conversations
+        };
+        await saveBulkExportJob(job);
+
+        sendResponse({ success: true, status: summarizeBulkJob(job) });
+        runBulkExport(job);
+    } catch (error) {
+        console.error('Bulk export failed to start:', error);
+        sendResponse({ success: false, error: `Failed to start bulk export. Details: ${error.message}` });
     }
 }
 
+async function handleResumeBulkExport(sendResponse) {
+    const job = await getBulkExportJob();
+
+    if (activeBulkRun) {
+        sendResponse({ success: false, error: 'A bulk export is already running.' });
+        return;
+    }
+    if (!job || job.status === 'completed') {
+        sendResponse({ success: false, error: 'There is no bulk export to resume.' });
+        return;
+    }
+
+    // Failed conversations get another try; completed ones are kept
+    job.conversations.forEach(conversation => {
+        if (conversation.status === 'failed') {
+            conversation.status = 'pending';
+            conversation.error = null;
+        }
+    });
+    job.status = 'running';
+    await saveBulkExportJob(job);
+
+    sendResponse({ success: true, status: summarizeBulkJob(job) });
+    runBulkExport(job);
+}
+
+async function handleCancelBulkExport(sendResponse) {
+    if (activeBulkRun) {
+        activeBulkRun.cancelled = true;
+    }
+    await clearBulkExport();
+    broadcastBulkProgress(null);
+    sendResponse({ success: true });
+}
+
+async function runBulkExport(job) {
+    const run = { cancelled: false, workerTabId: null };
+    activeBulkRun = run;
+
+    try {
+        for (let index = 0; index < job.conversations.length; index++) {
+            const conversation = job.conversations[index];
+            if (conversation.status !== 'pending') continue;
+            if (run.cancelled) return;
+
+            try {
+                if (run.workerTabId === null) {
+                    const tab = await chrome.tabs.create({ url: conversation.url, active: false });
+                    run.workerTabId = tab.id;
+                } else {
+                    await chrome.tabs.update(run.workerTabId, { url: conversation.url });
+                }
+
+                const result = await extractFromWorkerTab(run.workerTabId, conversation.url, job, bulkAssetFolder(index));
+                // Cancelling clears the stored results; a late result must not be stored again
+                if (run.cancelled) return;
+                await chrome.storage.local.set({ [BULK_RESULT_PREFIX + index]: result });
+                conversation.status = 'done';
+            } catch (error) {
+                console.warn(`Bulk export: failed on ${conversation.url}:`, error);
+                conversation.status = 'failed';
+                conversation.error = error.message;
+
+                // The worker tab may have been closed; open a fresh one next time
+                if (error.tabGone) {
+                    run.workerTabId = null;
+                }
+            }
+
+            if (run.cancelled) return;
+            await saveBulkExportJob(job);
+            broadcastBulkProgress(job);
+            await delay(BULK_EXPORT_SETTINGS.throttleMs);
+        }
+
+        const failed = job.conversations.filter(conversation => conversation.status === 'failed').length;
+        const exported = job.conversations.length - failed;
+        if (exported > 0) {
+            await downloadBulkArchive(job);
+        }
+
+        job.status = failed > 0 ? 'incomplete' : 'completed';
+        job.finishedAt = new Date().toISOString();
+        await saveBulkExportJob(job);
+        broadcastBulkProgress(job);
+
+        if (job.status === 'completed') {
+            await clearBulkResults();
+        }
+    } catch (error) {
+        console.error('Bulk export interrupted:', error);
+        job.status = 'interrupted';
+        job.error = error.message;
+        await saveBulkExportJob(job);
+        broadcastBulkProgress(job);
+    } finally {
+        if (run.workerTabId !== null) {
+            chrome.tabs.remove(run.workerTabId).catch(() => {});
+        }
+        activeBulkRun = null;
+    }
+}
+
+// Wait for the worker tab to load a conversation, then run the regular extractor in it.
+// Extra files are placed in assetFolder, next to the conversation file in the archive.
+async function extractFromWorkerTab(tabId, url, job, assetFolder) {
+    await waitForTabComplete(tabId, url, BULK_EXPORT_SETTINGS.pageLoadTimeoutMs);
+    await delay(BULK_EXPORT_SETTINGS.renderDelayMs);
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= BULK_EXPORT_SETTINGS.extractionAttempts; attempt++) {
+        try {
+            await injectExtractor(tabId, job.platform);
+            const response = await chrome.tabs.sendMessage(tabId, {
+                action: 'extractConversation',
+                format: job.format,
+                options: { ...job.options, assetFolder },
+            });
+
+            if (response && response.success) {
+                return { filename: response.filename, content: response.content, files: response.files || [] };
+            }
+            lastError = new Error((response && response.error) || 'Extraction failed in content script.');
+        } catch (error) {
+            lastError = error;
+        }
+
+        await delay(BULK_EXPORT_SETTINGS.retryDelayMs);
+    }
+
+    throw lastError;
+}
+
+function waitForTabComplete(tabId, expectedUrl, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            cleanup();
+            reject(new Error('Timed out waiting for the conversation to load.'));
+        }, timeoutMs);
+
+        const onUpdated = (updatedTabId, changeInfo) => {
+            if (updatedTabId === tabId && changeInfo.status === 'complete') {
+                cleanup();
+                resolve();
+            }
+        };
+        const onRemoved = (removedTabId) => {
+            if (removedTabId === tabId) {
+                cleanup();
+                const error = new Error('The export tab was closed.');
+                error.tabGone = true;
+                reject(error);
+            }
+        };
+        const cleanup = () => {
+            clearTimeout(timer);
+            chrome.tabs.onUpdated.removeListener(onUpdated);
+            chrome.tabs.onRemoved.removeListener(onRemoved);
+        };
+
+        chrome.tabs.onUpdated.addListener(onUpdated);
+        chrome.tabs.onRemoved.addListener(onRemoved);
+
+        // The tab may already have finished loading before the listener was attached
+        chrome.tabs.get(tabId).then(tab => {
+            if (tab.status === 'complete' && tab.url === expectedUrl) {
+                cleanup();
+                resolve();
+            }
+        }).catch(() => {});
+    });
+}
+
+// Package every exported conversation into one ZIP with a manifest.json index.
+// Results are read from storage and sent to the archive one conversation at a time,
+// so neither the service worker nor a single message has to hold the whole export.
+async function downloadBulkArchive(job) {
+    const archiveId = await openOffscreenArchive();
+    try {
+        const index = [];
+        for (let position = 0; position < job.conversations.length; position++) {
+            const conversation = job.conversations[position];
+            const key = BULK_RESULT_PREFIX + position;
+            const { [key]: result } = await chrome.storage.local.get(key);
+            const entry = { title: conversation.title, url: conversation.url, status: conversation.status, file: null, error: conversation.error };
+
+            if (result) {
+                // Number the files so the archive keeps the sidebar order and names never collide
+                const number = String(position + 1).padStart(4, '0');
+                const path = `conversations/${number}_${fileBaseName(result.filename)}`;
+                // Extra files already sit under this conversation's asset folder, see bulkAssetFolder()
+                const [storedPath] = await addToOffscreenArchive(archiveId, [
+                    toArchiveFile(path, result.content, job.format),
+                    ...(result.files || []).map(file => ({ ...file, path: `conversations/${file.path}` }))
+                ]);
+                entry.file = storedPath;
+            }
+            index.push(entry);
+        }
+
+        await addToOffscreenArchive(archiveId, [{
+            path: 'manifest.json',
+            content: JSON.stringify({
+                exportedAt: new Date().toISOString(),
+                platform: job.platform,
+                format: job.format,
+                conversationCount: index.filter(entry => entry.file).length,
+                conversations: index
+            }, null, 2)
+        }]);
+
+        const datetime = new Date().toISOString().replace(/[-:T]/g, '_').split('.')[0];
+        const filename = `${job.platform}_all_conversations_${datetime}.zip`;
+        const response = await closeOffscreenArchive(archiveId);
+        await startDownload(response.url, filename, Boolean(job.options && job.options.saveAs));
+    } catch (error) {
+        discardOffscreenArchive(archiveId);
+        throw error;
+    }
+}
+
+// Last part of a download path built from a filename template with subfolders
+function fileBaseName(path) {
+    return path.split('/').pop();
+}
+
+// Folder for a bulk-exported conversation's extra files, relative to its file in conversations/
+function bulkAssetFolder(index) {
+    return `${String(index + 1).padStart(4, '0')}_files`;
+}
+
+function summarizeBulkJob(job) {
+    if (!job) return null;
+
+    const count = (status) => job.conversations.filter(conversation => conversation.status === status).length;
+    return {
+        platform: job.platform,
+        format: job.format,
+        status: job.status,
+        total: job.conversations.length,
+        done: count('done'),
+        failed: count('failed'),
+        error: job.error || null
+    };
+}
+
+function broadcastBulkProgress(job) {
+    // The popup may be closed; nobody listening is fine
+    chrome.runtime.sendMessage({ action: 'bulkExportProgress', status: summarizeBulkJob(job) }).catch(() => {});
+}
+
+async function getBulkExportJob() {
+    const { [BULK_JOB_KEY]: job } = await chrome.storage.local.get(BULK_JOB_KEY);
+    return job || null;
+}
+
+async function saveBulkExportJob(job) {
+    await chrome.storage.local.set({ [BULK_JOB_KEY]: job });
+}
+
+// Remove every stored result, including ones of earlier jobs that no index in the current job points to
+async function clearBulkResults() {
+    // getKeys() (Chrome 130+) lists the keys without reading the stored results into memory
+    const keys = chrome.storage.local.getKeys
+        ? await chrome.storage.local.getKeys()
+        : Object.keys(await chrome.storage.local.get(null));
+    await chrome.storage.local.remove(keys.filter(key => key.startsWith(BULK_RESULT_PREFIX)));
+}
+
+async function clearBulkExport() {
+    await clearBulkResults();
+    await chrome.storage.local.remove(BULK_JOB_KEY);
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A job still marked running after a service worker restart was cut off; let the user resume it
+getBulkExportJob().then(job => {
+    if (job && job.status === 'running' && !activeBulkRun) {
+        job.status = 'interrupted';
+        saveBulkExportJob(job);
+    }
+});
+
 chrome.runtime.onInstalled.addListener(() => {
     console.log('Universal LLM Conversation Exporter installed/updated.');
 });
@@ -0,0 +1,395 @@
+// Universal LLM Conversation Exporter - Base Extractor
+// Shared message pipeline for the platform extractors. A platform extractor extends this class,
+// implements extractConversation() and registers itself with BaseExtractor.register().
+
+class BaseExtractor {
+    /**
+     * @param {string} platformId - Id of the platform's entry in the PlatformRegistry
+     * @param {Object} options - Export options from the popup
+     */
+    constructor(platformId, options = {}) {
+        this.platform = new window.PlatformRegistry().get(platformId);
+        this.options = options || {};
+        // Extractors that can read the conversation title or the model from the page set these
+        this.title = null;
+        this.model = null;
+        // Files saved next to the conversation, such as artifacts: [{ path, content }]
+        this.extraFiles = [];
+        this.citations = null;
+        // Thinking toggles opened for the export, closed again once it is read
+        this.expandedToggles = [];
+    }
+
+    /**
+     * Extract the conversation as an array of { role, content, ... } messages
+     */
+    async extractConversation() {
+        throw new Error(`${this.constructor.name} does not implement extractConversation()`);
+    }
+
+    /**
+     * Close the thinking sections opened by expandThinkingSections(), leaving the page as it was
+     */
+    collapseThinkingSections() {
+        this.expandedToggles
+            .filter(toggle => toggle.isConnected && toggle.getAttribute('aria-expanded') !== 'false')
+            .forEach(toggle => toggle.click());
+        this.expandedToggles = [];
+    }
+
+    /**
+     * List the conversations in the sidebar history for bulk export.
+     * Uses selectors.sidebarConversationLink and conversationUrlPattern of the subclass.
+     */
+    listConversations() {
+        const lister = new window.ConversationLister();
+        return lister.listConversations(this.selectors.sidebarConversationLink, this.conversationUrlPattern);
+    }
+
+    /**
+     * Id of the open conversation: the last part of a conversation URL, matched by conversationUrlPattern
+     * @returns {string|null}
+     */
+    getConversationId(url) {
+        if (!this.conversationUrlPattern) return null;
+
+        // Most ids are in the path; Grok on x.com keeps it in the query string
+        for (const candidate of [url.split(/[?#]/)[0], url.split('#')[0]]) {
+            const match = candidate.match(this.conversationUrlPattern);
+            if (match) {
+                return (match[0].match(/[\w-]+$/) || [null])[0];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Time a message was sent, from a <time> element, a date tooltip, or an id that embeds its creation time
+     * @param {Element} element - The message or its turn container
+     * @returns {string|null} - ISO 8601 timestamp
+     */
+    findTimestamp(element) {
+        if (!element) return null;
+
+        const timeElement = element.querySelector('time[datetime]');
+        if (timeElement) {
+            const time = this.parseTimestamp(timeElement.getAttribute('datetime'));
+            if (time) return time;
+        }
+
+        // Hover tooltips on the message or its time label ("Jan 5, 2025, 3:04 PM")
+        for (const candidate of [element, ...element.querySelectorAll('[title], [aria-label], [data-tooltip]')]) {
+            for (const attribute of ['title', 'aria-label', 'data-tooltip']) {
+                const value = candidate.getAttribute(attribute);
+                if (value && /\d{1,2}:\d{2}/.test(value) && /\d{4}|jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec/i.test(value)) {
+                    const time = this.parseTimestamp(value);
+                    if (time) return time;
+                }
+            }
+        }
+
+        for (const candidate of [element, ...element.querySelectorAll('[data-message-id], [id]')]) {
+            const time = this.timestampFromId(candidate.getAttribute('data-message-id') || candidate.id);
+            if (time) return time;
+        }
+        return null;
+    }
+
+    parseTimestamp(value) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    /**
+     * Creation time embedded in an id: X/Twitter snowflakes (Grok on x.com), UUID v7 and ULIDs.
+     * Other ids, like random UUIDs, carry no time.
+     * @returns {string|null} - ISO 8601 timestamp, only if it falls between 2010 and now
+     */
+    timestampFromId(id) {
+        if (!id) return null;
+
+        let milliseconds = null;
+        if (/^\d{15,20}$/.test(id)) {
+            milliseconds = Number(BigInt(id) >> 22n) + 1288834974657;
+        } else if (/^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-/i.test(id)) {
+            milliseconds = parseInt(id.replace(/-/g, '').substring(0, 12), 16);
+        } else if (/^[0-9A-HJKMNP-TV-Z]{26}$/i.test(id)) {
+            const alphabet = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+            milliseconds = id.substring(0, 10).toUpperCase().split('')
+                .reduce((total, character) => total * 32 + alphabet.indexOf(character), 0);
+        }
+
+        if (milliseconds === null || milliseconds < Date.UTC(2010, 0, 1) || milliseconds > Date.now() + 86400000) {
+            return null;
+        }
+        return new Date(milliseconds).toISOString();
+    }
+
+    /**
+     * Platforms that only show the selected model in a switcher, not on each answer, get that
+     * model recorded for the answers without one. this.model becomes the latest answer's model.
+     * Uses selectors.modelSwitcher of the subclass.
+     */
+    applyModelSwitcher(conversationData) {
+        const switcher = this.selectors && this.selectors.modelSwitcher
+            ? document.querySelector(this.selectors.modelSwitcher)
+            : null;
+        const switcherModel = switcher ? (switcher.textContent || '').replace(/\s+/g, ' ').trim().substring(0, 60) : '';
+
+        conversationData.forEach(message => {
+            if (message.role !== 'user' && !message.model && switcherModel) {
+                message.model = switcherModel;
+            }
+        });
+
+        const answered = conversationData.filter(message => message.model);
+        if (answered.length > 0) {
+            this.model = answered[answered.length - 1].model;
+        }
+    }
+
+    /**
+     * Title of the open conversation from its sidebar entry, else from the document title
+     * @param {string|null} conversationId - Used to recognise the sidebar entry
+     * @returns {string|null} - null when the page only shows a generic title
+     */
+    findTitle(conversationId) {
+        if (conversationId && this.selectors && this.selectors.sidebarConversationLink) {
+            const entry = Array.from(document.querySelectorAll(this.selectors.sidebarConversationLink))
+                .find(link => new RegExp(`[/=]${conversationId}(?:$|[/?#&])`).test(link.getAttribute('href') || ''));
+            const entryTitle = entry ? this.cleanTitle(entry.textContent) : null;
+            if (entryTitle) {
+                return entryTitle;
+            }
+        }
+
+        return this.cleanTitle(document.title);
+    }
+
+    /**
+     * Strip the platform name that pages add to their title, and reject titles that name no conversation
+     */
+    cleanTitle(text) {
+        const platformName = this.platform.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const title = (text || '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            // "… / X" on x.com, then "… - Claude", "… | Google Gemini" and the like
+            .replace(/\s*\/\s*X$/, '')
+            .replace(new RegExp(`\\s*[-|–—/]\\s*(?:google\\s+)?${platformName}$`, 'i'), '')
+            .trim();
+
+        const genericTitles = [this.platform.name, `google ${this.platform.name}`, 'new chat', 'new conversation', 'untitled'];
+        if (!title || genericTitles.some(generic => generic.toLowerCase() === title.toLowerCase())) {
+            return null;
+        }
+        return title.substring(0, 200);
+    }
+
+    /**
+     * Extract the conversation and format it for download
+     * @param {Object} message - The extractConversation request: format and options
+     * @returns {Promise<Object>} - { success, content, filename }
+     */
+    async handleExtractRequest(message) {
+        let conversationData;
+        try {
+            conversationData = await this.extractConversation();
+        } finally {
+            this.collapseThinkingSections();
+        }
+        if (!conversationData || conversationData.length === 0) {
+            throw new Error('No valid messages were extracted from the page.');
+        }
+
+        this.applyModelSwitcher(conversationData);
+
+        const format = message.format || 'text';
+        const url = window.location.href;
+        const options = {
+            ...this.options,
+            platform: this.platform.name,
+            url: url
+        };
+        // Without a title from the page, the content processor names the conversation after its first message
+        const conversationId = this.getConversationId(url);
+        const title = this.title || this.findTitle(conversationId);
+        if (title) {
+            options.title = title;
+        }
+        options.conversationId = conversationId;
+        if (this.model) {
+            options.model = this.model;
+        }
+
+        // Check if ContentProcessor is available (it should be injected before this script)
+        if (typeof window.ContentProcessor === 'undefined') {
+            console.error('ContentProcessor not available, using fallback formatting');
+            return this.formatFallback(conversationData, url);
+        }
+
+        const files = [...this.extraFiles, ...await this.collectAttachments(conversationData, format)];
+
+        // Use the content processor for consistent formatting and naming
+        const contentProcessor = new window.ContentProcessor();
+        const exportData = contentProcessor.sanitizeConversation(conversationData, format, options);
+        const removed = contentProcessor.getSanitizationReport();
+        if (removed.length > 0) {
+            console.log('Removed unsafe content from the export:', removed);
+        }
+
+        let content;
+        if (format === 'code') {
+            // The code files are the export; the conversation file becomes their index
+            const codeTree = contentProcessor.toCodeTree(exportData, options);
+            content = codeTree.index;
+            files.push(...codeTree.files);
+        } else {
+            content = contentProcessor.processConversation(exportData, format, options);
+        }
+        if (this.options.saveTablesAsCsv) {
+            files.push(...contentProcessor.collectTableFiles(exportData, options));
+        }
+
+        const response = {
+            success: true,
+            content: content,
+            filename: contentProcessor.generateFilename(exportData, format, options),
+        };
+        if (files.length > 0) {
+            // The background script saves these next to the conversation in a ZIP
+            response.files = files;
+        }
+        return response;
+    }
+
+    /**
+     * Save the artifacts, canvases and other side-panel documents of the conversation as files.
+     * Uses selectors.artifactCard, artifactPanel and artifactCloseButton of the subclass; platforms
+     * without them have nothing to collect. Call before building messages, then linkArtifacts() on
+     * each cloned message so the tagged cards become links to the files.
+     */
+    async collectArtifacts() {
+        if (!this.selectors || !this.selectors.artifactCard || typeof window.ArtifactCollector === 'undefined') {
+            return;
+        }
+
+        const collector = new window.ArtifactCollector({
+            cardSelector: this.selectors.artifactCard,
+            panelSelector: this.selectors.artifactPanel,
+            closeButton: this.selectors.artifactCloseButton,
+            folder: [this.options.assetFolder, 'artifacts'].filter(Boolean).join('/')
+        });
+        this.extraFiles.push(...await collector.collect());
+    }
+
+    /**
+     * Replace artifact cards in a cloned message with links to their saved files
+     */
+    linkArtifacts(clone) {
+        if (typeof window.ArtifactCollector !== 'undefined') {
+            window.ArtifactCollector.replaceCards(clone);
+        }
+        return clone;
+    }
+
+    /**
+     * Collect the web sources of a cloned answer and turn its inline citation markers into numbered
+     * footnote references. Uses selectors.citationMarker and sourceList of the subclass.
+     * @param {Element} clone - Cloned message content, modified in place
+     * @param {Element} [scope] - Live element around the answer, for source lists outside the clone
+     * @returns {Array<{number: number, title: string, url: string}>}
+     */
+    extractSources(clone, scope = null) {
+        if (!this.selectors || !(this.selectors.citationMarker || this.selectors.sourceList) ||
+            typeof window.CitationCollector === 'undefined') {
+            return [];
+        }
+
+        if (!this.citations) {
+            this.citations = new window.CitationCollector({
+                markerSelector: this.selectors.citationMarker,
+                sourceListSelector: this.selectors.sourceList
+            });
+        }
+        return this.citations.collect(clone, scope);
+    }
+
+    /**
+     * Download the images and uploaded files of the conversation while the page's session is available.
+     * Markdown and HTML exports link to the saved copies; with embedAttachments, images are inlined instead.
+     * @returns {Promise<Array<{path: string, dataUrl: string}>>} - Files to save next to the conversation
+     */
+    async collectAttachments(conversationData, format) {
+        // PDF and plain text cannot show images, so leave the original links in place
+        if (!this.options.includeAttachments || !['markdown', 'html', 'json'].includes(format)) {
+            return [];
+        }
+        if (typeof window.AttachmentCollector === 'undefined') {
+            console.warn('AttachmentCollector not available, keeping attachment links');
+            return [];
+        }
+
+        const collector = new window.AttachmentCollector({
+            embed: this.options.embedAttachments,
+            folder: [this.options.assetFolder, 'attachments'].filter(Boolean).join('/')
+        });
+        return collector.collect(conversationData);
+    }
+
+    /**
+     * Simple text formatting regardless of the requested format, named after the start of the URL
+     */
+    formatFallback(conversationData, url) {
+        const urlStart = url.replace(/^https?:\/\//, '').substring(0, 10).replace(/[^a-z0-9]/gi, '_');
+        const datetime = new Date().toISOString().replace(/[-:T]/g, '_').split('.')[0]; // YYYY_MM_DD_HH_MM_SS
+        const content = `chat url: ${url}\n\n` +
+            conversationData.map(msg => `${msg.role === 'user' ? 'User' : this.platform.name}:\n${msg.content}`).join('\n\n');
+
+        return {
+            success: true,
+            content: content,
+            filename: `${urlStart}_${datetime}.txt`,
+        };
+    }
+
+    /**
+     * Expose an extractor class and answer the background script's requests with it.
+     * Listens only once per page, however often the scripts are injected.
+     * @param {string} platformId - Id of the platform's entry in the PlatformRegistry
+     * @param {Function} ExtractorClass - Subclass of BaseExtractor taking (options)
+     */
+    static register(platformId, ExtractorClass) {
+        window[ExtractorClass.name] = ExtractorClass;
+
+        const injectedFlag = `${platformId}_extractor_injected`;
+        if (typeof window[injectedFlag] !== 'undefined') {
+            return;
+        }
+        window[injectedFlag] = true;
+
+        chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+            if (message.action === 'listConversations') {
+                new ExtractorClass().listConversations()
+                    .then(conversations => sendResponse({ success: true, conversations }))
+                    .catch(error => sendResponse({ success: false, error: error.message }));
+                return true;
+            }
+
+            if (message.action === 'extractConversation') {
+                new ExtractorClass(message.options || {}).handleExtractRequest(message)
+                    .then(response => sendResponse(response))
+                    .catch(error => {
+                        console.error(`${ExtractorClass.name}: Extraction failed in content script:`, error);
+                        sendResponse({ success: false, error: error.message });
+                    });
+            }
+            return true; // Keep message channel open for async response.
+        });
+    }
+}
+
+// Export for use in platform extractors
+if (typeof window !== 'undefined') {
+    window.BaseExtractor = BaseExtractor;
+}
@@ -1,36 +1,82 @@
 // Universal LLM Conversation Exporter - ChatGPT Extractor (Simplified and More Robust)
 
-class ChatGPTExtractor {
-    constructor() {
+class ChatGPTExtractor extends BaseExtractor {
+    constructor(options = {}) {
+        super('chatgpt', options);
         this.selectors = {
             // Just get all article elements - much simpler
             conversationTurn: 'article',
             authorRoleElement: '[data-message-author-role]',
             // Keep UI elements removal for cleaner text
             uiElementsToRemove: '[data-testid="copy-turn-action-button"], [aria-label="Edit message"], [aria-label="More actions"], button, .sr-only',
+            // Sidebar history links, used for bulk export
+            sidebarConversationLink: 'nav a[href*="/c/"]',
+            // "< 2 / 3 >" switcher of regenerated responses and edited prompts
+            previousVersionButton: 'button[aria-label^="Previous"]',
+            nextVersionButton: 'button[aria-label^="Next"]',
+            // Answer body; the reasoning toggle sits outside it
+            answerContent: '.markdown',
+            // Model picker at the top of the chat, for answers without a model slug
+            modelSwitcher: '[data-testid="model-switcher-dropdown-button"]',
+            // Canvas card in a message, the canvas side panel it opens, and the panel's close button
+            artifactCard: '[id^="textdoc-message-"], [data-testid="canvas-card"]',
+            artifactPanel: '[data-testid="canvas-panel"], section[aria-label*="canvas" i]',
+            artifactCloseButton: 'button[aria-label*="Close" i]',
+            // Source pills of search answers, and the link list of the "Sources" footer
+            citationMarker: '[data-testid="webpage-citation-pill"]',
+            sourceList: '[data-testid="sources-footnote"], [data-testid="webpage-citation-list"]',
         };
+
+        // Matches the URL of a single conversation
+        this.conversationUrlPattern = /\/c\/[\w-]+$/;
+        // Labels of the collapsible reasoning toggle ("Thought for 12s", "Reasoned for a few seconds")
+        this.thinkingLabelPattern = /^(thought|reasoned|thinking)\b/i;
+        this.expandDelay = 600;
     }
 
     /**
      * Entry point for extraction.
      */
-    extractConversation() {
+    async extractConversation() {
         console.log('ChatGPTExtractor: Starting simple article text extraction...');
         const messages = [];
-        const articles = document.querySelectorAll(this.selectors.conversationTurn);
+
+        // Every turn of long conversations, including those the page unmounted again while loading
+        const articles = await new window.HistoryLoader().loadFullHistory(this.selectors.conversationTurn);
 
         if (articles.length === 0) {
             console.error('No articles found on page');
             throw new Error('No conversation articles found. Make sure you are on a ChatGPT conversation page.');
         }
 
+        // Position of each still rendered article among the rendered ones; copies of unmounted
+        // turns have none, and their other versions cannot be walked
+        const renderedArticles = articles.filter(article => article.isConnected);
+        const renderedIndex = new Map(renderedArticles.map((article, index) => [article, index]));
+
+        if (this.options.includeThinking) {
+            await this.expandThinkingSections(renderedArticles);
+        }
+
+        // Save canvas documents before the messages are cloned, so their cards can link to them
+        await this.collectArtifacts();
+
         console.log(`Found ${articles.length} articles.`);
 
-        for (const article of articles) {
+        for (let index = 0; index < articles.length; index++) {
             try {
+                // Look the article up again, walking versions of an earlier turn re-renders the page
+                const position = renderedIndex.get(articles[index]);
+                const article = position === undefined
+                    ? articles[index]
+                    : document.querySelectorAll(this.selectors.conversationTurn)[position] || articles[index];
                 const message = this.extractMessageFromArticle(article);
                 if (message) {
+                    // Added first, so a failure while walking versions only loses the alternates
                     messages.push(message);
+                    if (this.options.includeAllVersions && position !== undefined) {
+                        await this.addOtherVersions(message, position);
+                    }
                 }
             } catch (error) {
                 console.warn('Could not extract message from article:', error);
@@ -65,11 +111,34 @@ class ChatGPTExtractor {
         // 2. Clone the article to avoid modifying the live page
         const articleClone = articleElement.cloneNode(true);
 
-        // 3. Remove UI elements for cleaner text
+        // 3. Take the reasoning section out of the answer, keeping it only when requested
+        let thinking = '';
+        this.findThinkingRegions(articleClone).forEach(region => {
+            if (this.options.includeThinking) {
+                const regionClone = region.cloneNode(true);
+                regionClone.querySelectorAll(this.selectors.uiElementsToRemove).forEach(el => el.remove());
+                thinking += regionClone.innerHTML;
+            }
+            region.remove();
+        });
+
+        // 4. Turn canvas cards into links to the saved canvas files
+        this.linkArtifacts(articleClone);
+
+        // 5. Replace citation pills with numbered references to the answer's web sources
+        const sources = this.extractSources(articleClone);
+
+        // 6. Remove the version switcher ("< 2 / 3 >") along with its counter, then other UI elements
+        articleClone.querySelectorAll(this.selectors.previousVersionButton).forEach(button => {
+            const switcher = button.parentElement;
+            if (switcher && /^\W*\d+\s*\/\s*\d+\W*$/.test(switcher.textContent || '')) {
+                switcher.remove();
+            }
+        });
         const uiElements = articleClone.querySelectorAll(this.selectors.uiElementsToRemove);
         uiElements.forEach(el => el.remove());
 
-        // 4. FORMATTING FIX: Get HTML content to preserve structure, fallback to text
+        // 7. FORMATTING FIX: Get HTML content to preserve structure, fallback to text
         let content = '';
         try {
             // Try to get HTML content first to preserve formatting
@@ -83,61 +152,98 @@ class ChatGPTExtractor {
             return null; // Skip empty articles
         }
 
-        return {
+        const message = {
             role: role,
             content: content.trim(),
         };
+        if (thinking.trim()) {
+            message.thinking = thinking.trim();
+        }
+        if (sources.length > 0) {
+            message.sources = sources;
+        }
+        // Each answer names the model that wrote it
+        const model = roleElement ? roleElement.getAttribute('data-message-model-slug') : null;
+        if (model) {
+            message.model = model;
+        }
+        const timestamp = this.findTimestamp(articleElement);
+        if (timestamp) {
+            message.timestamp = timestamp;
+        }
+        return message;
     }
-}
 
-/**
- * Main execution logic for the content script.
- * Listens for the message from the background script to start extraction.
- */
-if (typeof window.chatGPT_extractor_injected === 'undefined') {
-    window.chatGPT_extractor_injected = true;
+    /**
+     * Attach the other versions of a regenerated response or edited prompt to its message
+     */
+    async addOtherVersions(message, index) {
+        const walker = new window.VersionWalker({
+            previousButton: this.selectors.previousVersionButton,
+            nextButton: this.selectors.nextVersionButton,
+            turnSelector: this.selectors.conversationTurn
+        });
+        const versions = await walker.collectVersions(
+            () => document.querySelectorAll(this.selectors.conversationTurn)[index],
+            article => this.extractMessageFromArticle(article)
+        );
+
+        if (versions) {
+            message.version = versions.current;
+            message.versionCount = versions.total;
+            // Everything but the role, which all versions of a turn share
+            message.alternates = versions.alternates.map(({ role, ...alternate }) => alternate);
+        }
+    }
 
-    chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
-        if (message.action === 'extractConversation') {
-            try {
-                const extractor = new ChatGPTExtractor();
-                const conversationData = extractor.extractConversation();
-
-                if (conversationData && conversationData.length > 0) {
-                    // Generate filename: first_ten_chars_of_url_datetime_with_underscores
-                    const url = window.location.href;
-                    const urlStart = url.replace(/^https?:\/\//, '').substring(0, 10).replace(/[^a-z0-9]/gi, '_');
-                    const now = new Date();
-                    const datetime = now.toISOString().replace(/[-:T]/g, '_').split('.')[0]; // YYYY_MM_DD_HH_MM_SS
-                    const filename = `${urlStart}_${datetime}.txt`;
-
-                    // Use the content processor for consistent formatting
-                    const contentProcessor = new window.ContentProcessor();
-                    const formattedContent = contentProcessor.processConversation(
-                        conversationData,
-                        'text',
-                        {
-                            includeTimestamps: false,
-                            includeMetadata: true,
-                            platform: 'ChatGPT',
-                            url: url
-                        }
-                    );
-
-                    sendResponse({
-                        success: true,
-                        content: formattedContent,
-                        filename: filename,
-                    });
-                } else {
-                    throw new Error('No valid messages were extracted from the page.');
+    /**
+     * Find the reasoning toggles in an article ("Thought for 12s" and similar)
+     */
+    findThinkingToggles(root) {
+        return Array.from(root.querySelectorAll('button, [role="button"]')).filter(button => {
+            const label = (button.textContent || '').replace(/\s+/g, ' ').trim();
+            return this.thinkingLabelPattern.test(label);
+        });
+    }
+
+    /**
+     * Open collapsed reasoning sections so their text is in the DOM
+     */
+    async expandThinkingSections(articles) {
+        let expanded = 0;
+        articles.forEach(article => {
+            this.findThinkingToggles(article).forEach(toggle => {
+                if (toggle.getAttribute('aria-expanded') === 'false') {
+                    toggle.click();
+                    this.expandedToggles.push(toggle);
+                    expanded++;
                 }
-            } catch (error) {
-                console.error('Extraction failed in content script:', error);
-                sendResponse({ success: false, error: error.message });
-            }
+            });
+        });
+
+        if (expanded > 0) {
+            console.log(`ChatGPTExtractor: Expanded ${expanded} thinking sections`);
+            await new Promise(resolve => setTimeout(resolve, this.expandDelay));
         }
-        return true; // Keep message channel open for async response.
-    });
+    }
+
+    /**
+     * The reasoning region is the outermost ancestor of a toggle that does not also contain the answer
+     */
+    findThinkingRegions(root) {
+        const regions = [];
+        this.findThinkingToggles(root).forEach(toggle => {
+            let region = toggle;
+            while (region.parentElement && region.parentElement !== root &&
+                !region.parentElement.querySelector(this.selectors.answerContent)) {
+                region = region.parentElement;
+            }
+            if (!region.querySelector(this.selectors.answerContent) && !regions.some(r => r.contains(region))) {
+                regions.push(region);
+            }
+        });
+        return regions;
+    }
 }
 
+BaseExtractor.register('chatgpt', ChatGPTExtractor);
@@ -1,7 +1,9 @@
 // Universal LLM Conversation Exporter - Claude Extractor (Simple and Direct)
 
-class ClaudeExtractor {
-  constructor() {
+class ClaudeExtractor extends BaseExtractor {
+  constructor(options = {}) {
+    super('claude', options);
+
     // Use the correct approach based on user feedback
     this.selectors = {
       // Main container selector
@@ -9,42 +11,40 @@ class ClaudeExtractor {
       titleElement: "button[data-testid='chat-menu-trigger']",
       // Claude still uses font-claude-response, and we need to look for standard-markdown content
       messageElements: "div.font-claude-response, div.font-user-message, [data-testid='user-message']",
+      userMessage: "div.font-user-message, [data-testid='user-message']",
+      // Wrapper rendered around every turn, used when the message selectors find nothing
+      turnContainer: '[data-test-render-count]',
       // Key insight: Claude messages are in elements containing "standard-markdown"
-      claudeContentSelector: '[class*="standard-markdown"]'
+      claudeContentSelector: '[class*="standard-markdown"]',
+      // Page controls left out of exported message content
+      uiElementsToRemove: 'button, .sr-only',
+      // Collapsible row that opens a thinking section, and its content panel
+      thinkingToggle: 'button.group\\/row',
+      thinkingPanel: '.overflow-hidden.shrink-0',
+      // "< 2 / 3 >" switcher of regenerated responses and edited prompts
+      previousVersionButton: 'button[aria-label*="Previous" i]',
+      nextVersionButton: 'button[aria-label*="Next" i]',
+      // Artifact card in a response, the side panel it opens, and the panel's close button
+      artifactCard: '.artifact-block-cell',
+      artifactPanel: '[data-testid="artifact-view"], [data-testid="artifact-panel"]',
+      artifactCloseButton: 'button[aria-label*="Close" i]',
+
+      // Sidebar history links, used for bulk export
+      sidebarConversationLink: 'a[href^="/chat/"]',
+      // Model picker below the prompt box; Claude does not label each response
+      modelSwitcher: "[data-testid='model-selector-dropdown']",
+      // Source links that web search places inline in a response
+      citationMarker: 'span.inline-flex > a[target="_blank"][href^="http"]'
     };
-  }
-
-  // Test method to run extraction and log results without full extension
-  testExtraction() {
-    console.log('=== Claude Extractor Test ===');
-    const { elements, title, centralContainer } = this.getContents();
-    console.log(`Title: ${title}`);
-    console.log(`Central container found: ${centralContainer ? 'Yes' : 'No'}`);
-    console.log(`Elements found: ${elements.length}`);
-
-    elements.forEach((el, i) => {
-      const text = el.textContent?.trim();
-      const preview = text ? text.substring(0, 100) + (text.length > 100 ? '...' : '') : 'No text';
-      console.log(`Element ${i}: ${el.className} - ${preview}`);
-    });
-
-    return { elements, title, centralContainer };
-  }
 
-  getTimestamp() {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    const hours = String(now.getHours()).padStart(2, '0');
-    const minutes = String(now.getMinutes()).padStart(2, '0');
-    const seconds = String(now.getSeconds()).padStart(2, '0');
-    return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+    // Matches the URL of a single conversation
+    this.conversationUrlPattern = /\/chat\/[\w-]+$/;
   }
 
   getContents() {
     const titleEle = document.querySelector(this.selectors.titleElement);
-    const titleText = titleEle ? titleEle.textContent.trim() : "Claude Chat";
+    // No title here leaves it to BaseExtractor.findTitle()
+    const titleText = titleEle ? titleEle.textContent.trim() || null : null;
 
     // Get the chat container and find all message elements in order
     let elements = [];
@@ -70,144 +70,194 @@ class ClaudeExtractor {
       console.log(`Found ${elements.length} total elements with selectors: ${this.selectors.messageElements}`);
     }
 
+    // Last resort when no Claude response was recognised: one element per rendered turn,
+    // classified later by isResponseElement
+    const turnContainers = document.querySelectorAll(this.selectors.turnContainer);
+    if (turnContainers.length > 0 && !Array.from(elements).some(el => el.classList.contains('font-claude-response'))) {
+      elements = turnContainers;
+      console.log(`Found ${elements.length} turn containers with selector: ${this.selectors.turnContainer}`);
+    }
+
+    // A user message can match more than one selector; keep the outermost element
+    elements = Array.from(elements);
+    elements = elements.filter(el => !elements.some(other => other !== el && other.contains(el)));
+
     return {
-      elements: Array.from(elements),
+      elements: elements,
       title: titleText,
       chatContainer: chatContainer
     };
   }
 
-  consoleSave(data, title) {
-    let filename = title ?
-      title.trim()
-        .toLowerCase()
-        .replace(/[<>:"/\\|?*]/g, '_')
-        .replace(/\s+/g, '-')
-        .replace(/^[^\w\d]+|[^\w\d]+$/g, '')
-        .substring(0, 100) || "claude"
-      : "claude";
-
-    filename += ".md";
-    const mimeType = "text/markdown";
-
-    const blob = new Blob([data], { type: mimeType });
-    const a = document.createElement("a");
-    a.download = filename;
-    a.href = window.URL.createObjectURL(blob);
-
-    const event = new MouseEvent("click", {
-      canBubble: true,
-      cancelable: false,
-      view: window,
-      detail: 0,
-      screenX: 0,
-      screenY: 0,
-      clientX: 0,
-      clientY: 0,
-      ctrlKey: false,
-      altKey: false,
-      shiftKey: false,
-      metaKey: false,
-      button: 0,
-      relatedTarget: null,
-    });
-
-    a.dispatchEvent(event);
-
-    setTimeout(() => {
-      window.URL.revokeObjectURL(a.href);
-    }, 1000);
-  }
-
   // Main extraction method
   async extractConversation() {
-    console.log('ClaudeExtractor: Starting extraction with proven working approach...');
+    console.log('ClaudeExtractor: Starting extraction...');
+
+    // Every message of long conversations, including those the page unmounted again while loading
+    const elements = await new window.HistoryLoader().loadFullHistory(() => this.getContents().elements);
+    // Position of each still rendered element among the rendered ones; copies of unmounted
+    // turns have none, and their other versions cannot be walked
+    const renderedIndex = new Map(elements.filter(el => el.isConnected).map((el, index) => [el, index]));
 
-    let markdown = "";
-    const { elements, title, chatContainer } = this.getContents();
+    // Save artifacts before the messages are read, so their cards can link to them
+    await this.collectArtifacts();
+
+    const { title, chatContainer } = this.getContents();
+    this.title = title;
 
     console.log(`Using chat container: ${chatContainer ? 'Yes' : 'No'}`);
     console.log(`Found ${elements.length} message elements`);
 
-    const timestamp = this.getTimestamp();
-    markdown += `# ${title}\n\`${timestamp}\`\n\n`;
+    if (elements.length === 0) {
+      throw new Error('No messages found. Make sure you are on a Claude conversation page.');
+    }
+
+    const messages = [];
+    // Thinking sections rendered as separate elements belong to the next Claude response
+    let pendingThinking = '';
 
     for (let i = 0; i < elements.length; i++) {
-      const ele = elements[i];
+      // Look the element up again, walking versions of an earlier turn re-renders the page
+      const position = renderedIndex.get(elements[i]);
+      const ele = this.options.includeAllVersions && position !== undefined
+        ? (this.getContents().elements[position] || elements[i])
+        : elements[i];
       const elementText = (ele.textContent || '').trim();
       const preview = elementText.substring(0, 50).replace(/\n/g, ' ') + (elementText.length > 50 ? '...' : '');
 
-      console.log(`Processing element ${i}: ${ele.className}`);
-      console.log(`  Text preview: "${preview}"`);
-
       // Skip thinking sections (collapsible elements with specific structure)
       if (this.isThinkingSection(ele)) {
-        console.log(`   SKIPPING thinking section ${i}: "${preview}"`);
+        if (this.options.includeThinking) {
+          console.log(`   KEEPING thinking section ${i}: "${preview}"`);
+          pendingThinking += this.getThinkingHtml(ele);
+        } else {
+          console.log(`   SKIPPING thinking section ${i}: "${preview}"`);
+        }
         continue;
       }
 
-      // Handle Claude responses - look for standard-markdown content
-      if (ele.classList.contains("font-claude-response")) {
-        console.log(`   PROCESSING Claude response ${i}: "${preview}"`);
-        markdown += `_Claude_:\n`;
-
-        // Look for standard-markdown content as suggested by user
-        const standardMarkdownElements = ele.querySelectorAll(this.selectors.claudeContentSelector);
-        console.log(`   Found ${standardMarkdownElements.length} standard-markdown elements`);
-
-        if (standardMarkdownElements.length > 0) {
-          // Process all standard-markdown elements in order
-          for (const markdownEl of standardMarkdownElements) {
-            const extractedContent = this.processChildNodes(markdownEl.childNodes);
-            markdown += extractedContent;
-            console.log(`   Extracted ${extractedContent.length} characters from standard-markdown element`);
-          }
-        } else {
-          console.log(`   No standard-markdown elements found, using fallback`);
-          // Fallback to original approach
-          const firstChild = ele.firstChild;
-          if (firstChild && firstChild.nodeType === Node.ELEMENT_NODE) {
-            let secondChild = firstChild.firstChild;
-            if (!secondChild) secondChild = firstChild;
-            const extractedContent = this.processChildNodes(secondChild.childNodes);
-            markdown += extractedContent;
-            console.log(`   Extracted ${extractedContent.length} characters from Claude response (fallback)`);
-          }
-        }
+      const isResponse = this.isResponseElement(ele);
+      const message = isResponse ? this.extractResponse(ele) : this.extractUserMessage(ele);
+      console.log(`   ${isResponse ? 'Claude response' : 'User message'} ${i}: "${preview}"`);
+
+      if (isResponse && pendingThinking) {
+        message.thinking = pendingThinking + (message.thinking || '');
+      }
+      if (isResponse) {
+        pendingThinking = '';
+      }
+      // Times are shown on hover over the whole turn
+      const timestamp = this.findTimestamp(ele.closest(this.selectors.turnContainer) || ele);
+      if (timestamp) {
+        message.timestamp = timestamp;
       }
-      // Handle user messages
-      else {
-        console.log(`   PROCESSING User message ${i}: "${preview}"`);
-        markdown += `_Human_:\n`;
-
-        // Check for attachments first
-        const attachmentContent = this.processUserAttachments(ele);
-        if (attachmentContent) {
-          console.log(`   Found user attachments: "${attachmentContent.trim()}"`);
-          markdown += attachmentContent;
-        }
 
-        // Then process text content
-        const textContent = this.processChildNodes(ele.childNodes);
-        if (textContent.trim()) {
-          const textPreview = textContent.substring(0, 50).replace(/\n/g, ' ') + (textContent.length > 50 ? '...' : '');
-          console.log(`   Extracted user text: "${textPreview}"`);
-          markdown += textContent;
-        } else {
-          console.log(`   No text content extracted from user message`);
+      if (this.options.includeAllVersions && position !== undefined) {
+        const versions = await new window.VersionWalker({
+          previousButton: this.selectors.previousVersionButton,
+          nextButton: this.selectors.nextVersionButton,
+          turnSelector: this.selectors.messageElements
+        }).collectVersions(
+          () => this.getContents().elements[position],
+          element => (isResponse ? this.extractResponse(element) : this.extractUserMessage(element))
+        );
+        if (versions) {
+          message.version = versions.current;
+          message.versionCount = versions.total;
+          message.alternates = versions.alternates
+            .filter(alternate => alternate.content)
+            .map(({ role, ...alternate }) => alternate);
         }
       }
 
-      markdown += "\n";
+      if (message.content) {
+        messages.push(message);
+      }
     }
 
-    // Convert to messages format expected by the extension
-    const messages = this.parseMarkdownToMessages(markdown);
-
     console.log(`ClaudeExtractor: Extracted ${messages.length} messages`);
     return messages;
   }
 
+  // Claude responses carry font-claude-response; turn containers from the fallback are
+  // responses when they hold answer content and no user message
+  isResponseElement(ele) {
+    if (ele.classList.contains('font-claude-response')) return true;
+    if (ele.matches(this.selectors.userMessage) || ele.querySelector(this.selectors.userMessage)) return false;
+    return Boolean(ele.querySelector(`.font-claude-response, ${this.selectors.claudeContentSelector}`));
+  }
+
+  // Message object for a Claude response element: sanitized answer HTML, plus thinking if requested
+  extractResponse(ele) {
+    // Thinking rendered inside the response is kept out of the answer
+    const thinkingRegions = this.findThinkingRegions(ele);
+
+    // The answer is rendered in standard-markdown containers, with artifact cards between them
+    const answerElements = Array.from(ele.querySelectorAll(`${this.selectors.claudeContentSelector}, [data-artifact-path]`))
+      .filter(el => !thinkingRegions.some(region => region.contains(el)))
+      // Keep only the outermost container when they are nested
+      .filter((el, _index, all) => !all.some(other => other !== el && other.contains(el)));
+
+    const sources = [];
+    let content;
+    if (answerElements.some(el => el.matches(this.selectors.claudeContentSelector))) {
+      content = answerElements
+        .map(el => (el.hasAttribute('data-artifact-path') ? window.ArtifactCollector.createLink(el).outerHTML : this.cleanContent(el, sources)))
+        .join('\n');
+    } else {
+      console.log('   No standard-markdown elements found, using the whole response');
+      const clone = ele.cloneNode(true);
+      this.findThinkingRegions(clone).forEach(region => region.remove());
+      content = this.cleanContent(clone, sources);
+    }
+
+    const message = { role: 'assistant', content: content };
+    if (sources.length > 0) {
+      message.sources = sources;
+    }
+    if (this.options.includeThinking) {
+      const thinking = thinkingRegions.map(region => this.getThinkingHtml(region)).join('');
+      if (thinking) {
+        message.thinking = thinking;
+      }
+    }
+    return message;
+  }
+
+  // Message object for a user message element; images and file thumbnails stay in the HTML
+  extractUserMessage(ele) {
+    return { role: 'user', content: this.cleanContent(ele) };
+  }
+
+  // HTML of an element without buttons and code block toolbars; artifact cards become links, and
+  // citations become footnote references whose sources are added to the given array
+  cleanContent(element, sources = null) {
+    const clone = this.linkArtifacts(element.cloneNode(true));
+    if (sources) {
+      sources.push(...this.extractSources(clone));
+    }
+    clone.querySelectorAll(this.selectors.uiElementsToRemove).forEach(el => el.remove());
+
+    // Code blocks carry a language label right above the <pre> or its wrapper, which the export
+    // already records; nothing else before the block is touched
+    clone.querySelectorAll('pre').forEach(pre => {
+      const code = pre.querySelector('code');
+      const languageMatch = code && (code.className || '').match(/language-([\w+#-]+)/);
+      if (!languageMatch) return;
+
+      let block = pre;
+      while (!block.previousElementSibling && block.parentElement && block.parentElement !== clone) {
+        block = block.parentElement;
+      }
+      const header = block.previousElementSibling;
+      if (header && header.textContent.trim().toLowerCase() === languageMatch[1].toLowerCase()) {
+        header.remove();
+      }
+    });
+
+    return clone.innerHTML.trim();
+  }
+
   // Check if element is a thinking section or should be filtered out
   isThinkingSection(element) {
     // Check for thinking section class indicators
@@ -248,299 +298,32 @@ class ClaudeExtractor {
     return shouldFilter;
   }
 
-  // Process Claude content from standard-markdown container
-  processClaudeContent(container) {
-    return this.processChildNodes(container.childNodes);
-  }
-
-  // Process user attachments
-  processUserAttachments(element) {
-    let result = '';
-
-    // Look for file attachments with various patterns
-    const fileAttachments = element.querySelectorAll('[data-testid="file-thumbnail"]');
-    if (fileAttachments.length > 0) {
-      result += `[User uploaded ${fileAttachments.length} file(s)]\n`;
-    }
-
-    // Look for images
-    const images = element.querySelectorAll('img');
-    if (images.length > 0) {
-      result += `[User uploaded ${images.length} image(s)]\n`;
-    }
-
-    // Look for pasted content (like the screenshot you showed)
-    const pastedContent = element.querySelector('div[class*="border"][class*="rounded"]');
-    if (pastedContent && element.textContent.includes('PASTED')) {
-      result += `[User pasted content]\n`;
-      // Try to extract any text from the pasted content
-      const pastedText = pastedContent.textContent.trim();
-      if (pastedText && pastedText !== 'PASTED') {
-        result += `Pasted content: ${pastedText}\n`;
-      }
-    }
-
-    // Look for any other attachment indicators
-    const attachmentDivs = element.querySelectorAll('div[class*="bg-"][class*="border"]');
-    if (attachmentDivs.length > 0 && !result) {
-      // Check if any of these contain file-like content
-      for (const div of attachmentDivs) {
-        const text = div.textContent.trim();
-        if (text && text.length > 10 && text.length < 500) { // Reasonable attachment text length
-          result += `[User attachment: ${text.substring(0, 100)}${text.length > 100 ? '...' : ''}]\n`;
-          break;
-        }
-      }
-    }
-
-    return result;
-  }
-
-  // Process child nodes (extracted from original logic)
-  processChildNodes(childNodes) {
-    let markdown = '';
-    for (let n = 0; n < childNodes.length; n++) {
-      const childNode = childNodes[n];
-
-      if (childNode.nodeType === Node.ELEMENT_NODE) {
-        const tag = childNode.tagName;
-        const text = childNode.textContent;
-
-        // Paragraphs
-        if (tag === "P") {
-          markdown += `${text}\n`;
-        }
-
-        // Headings
-        if (tag === "H1") markdown += `# ${text}\n`;
-        if (tag === "H2") markdown += `## ${text}\n`;
-        if (tag === "H3") markdown += `### ${text}\n`;
-        if (tag === "H4") markdown += `#### ${text}\n`;
-        if (tag === "H5") markdown += `##### ${text}\n`;
-        if (tag === "H6") markdown += `###### ${text}\n`;
-
-        // Get list items
-        if (tag === "OL") {
-          childNode.childNodes.forEach((listItemNode, index) => {
-            if (
-              listItemNode.nodeType === Node.ELEMENT_NODE &&
-              listItemNode.tagName === "LI"
-            ) {
-              markdown += `${index + 1}. ${listItemNode.textContent}\n`;
-            }
-          });
-        }
-        if (tag === "UL") {
-          childNode.childNodes.forEach((listItemNode) => {
-            if (
-              listItemNode.nodeType === Node.ELEMENT_NODE &&
-              listItemNode.tagName === "LI"
-            ) {
-              markdown += `- ${listItemNode.textContent}\n`;
-            }
-          });
-        }
-
-        // Code blocks
-        if (tag === "PRE") {
-          const codeEle = childNode.querySelector("code");
-          if (codeEle) {
-            const codeText = codeEle.textContent;
-            const codeBlockLang = codeEle.classList[0] ? codeEle.classList[0].split("-")[1] : "";
-            markdown += `\`\`\`${codeBlockLang}\n${codeText}\n\`\`\`\n`;
-          }
-        }
-
-        // Tables
-        if (tag === "TABLE") {
-          // Get table sections
-          let tableMarkdown = "";
-          childNode.childNodes.forEach((tableSectionNode) => {
-            if (
-              tableSectionNode.nodeType === Node.ELEMENT_NODE &&
-              (tableSectionNode.tagName === "THEAD" ||
-                tableSectionNode.tagName === "TBODY")
-            ) {
-              // Get table rows
-              let tableRows = "";
-              let tableColCount = 0;
-              tableSectionNode.childNodes.forEach((tableRowNode) => {
-                if (
-                  tableRowNode.nodeType === Node.ELEMENT_NODE &&
-                  tableRowNode.tagName === "TR"
-                ) {
-                  // Get table cells
-                  let tableCells = "";
-                  tableRowNode.childNodes.forEach((tableCellNode) => {
-                    if (
-                      tableCellNode.nodeType === Node.ELEMENT_NODE &&
-                      (tableCellNode.tagName === "TD" ||
-                        tableCellNode.tagName === "TH")
-                    ) {
-                      tableCells += `| ${tableCellNode.textContent} `;
-                      if (tableSectionNode.tagName === "THEAD") {
-                        tableColCount++;
-                      }
-                    }
-                  });
-                  tableRows += `${tableCells}|\n`;
-                }
-              });
-
-              tableMarkdown += tableRows;
-
-              if (tableSectionNode.tagName === "THEAD") {
-                const headerRowDivider = `| ${Array(tableColCount)
-                  .fill("---")
-                  .join(" | ")} |\n`;
-                tableMarkdown += headerRowDivider;
-              }
-            }
-          });
-          markdown += tableMarkdown;
-        }
-
-        // Paragraph break after each element
-        markdown += "\n";
+  // Find collapsible thinking sections nested inside a Claude response: the widest
+  // ancestor of the toggle that holds no answer content of its own
+  findThinkingRegions(responseElement) {
+    const regions = [];
+    const answerElements = Array.from(responseElement.querySelectorAll(this.selectors.claudeContentSelector))
+      .filter(el => !el.closest(this.selectors.thinkingPanel));
+
+    responseElement.querySelectorAll(this.selectors.thinkingToggle).forEach(toggle => {
+      let region = toggle;
+      while (region.parentElement && region.parentElement !== responseElement &&
+        !answerElements.some(el => region.parentElement.contains(el))) {
+        region = region.parentElement;
       }
-    }
-
-    return markdown;
-  }
-
-  // Alternative extraction method using central container
-  extractFromCentralContainer(centralContainer, title, timestamp) {
-    console.log('Extracting from central container...');
-
-    let markdown = `# ${title}\n\`${timestamp}\`\n\n`;
-
-    // Look for message patterns in the central container
-    // Try to find elements that look like messages based on structure
-    const possibleMessages = centralContainer.querySelectorAll('div[class*="font-"], article, div[data-testid]');
-
-    console.log(`Found ${possibleMessages.length} possible message elements in central container`);
-
-    for (let i = 0; i < possibleMessages.length; i++) {
-      const element = possibleMessages[i];
-      const text = element.textContent?.trim();
-
-      if (!text || text.length < 10) continue; // Skip very short content
-
-      // Try to determine if this is a user or assistant message
-      const isUserMessage = element.classList.contains('font-user-message') ||
-                           element.hasAttribute('data-testid') && element.getAttribute('data-testid').includes('user');
-      const isAssistantMessage = element.classList.contains('font-claude-response') ||
-                                element.classList.contains('font-claude-message');
-
-      if (isUserMessage) {
-        markdown += `_Human_:\n${text}\n\n`;
-        console.log(`Added user message: ${text.substring(0, 50)}...`);
-      } else if (isAssistantMessage) {
-        markdown += `_Claude_:\n${text}\n\n`;
-        console.log(`Added Claude message: ${text.substring(0, 50)}...`);
-      } else {
-        // Try to guess based on content patterns
-        const looksLikeUserMessage = text.includes('?') || text.length < 200;
-        if (looksLikeUserMessage) {
-          markdown += `_Human_:\n${text}\n\n`;
-          console.log(`Guessed user message: ${text.substring(0, 50)}...`);
-        } else {
-          markdown += `_Claude_:\n${text}\n\n`;
-          console.log(`Guessed Claude message: ${text.substring(0, 50)}...`);
-        }
+      if (region.querySelector(this.selectors.thinkingPanel) && !regions.some(r => r.contains(region))) {
+        regions.push(region);
       }
-    }
-
-    return this.parseMarkdownToMessages(markdown);
+    });
+    return regions;
   }
 
-  // Helper method to convert markdown back to messages format
-  parseMarkdownToMessages(markdown) {
-    const messages = [];
-    const lines = markdown.split('\n');
-    let currentMessage = null;
-
-    for (const line of lines) {
-      if (line.startsWith('_Claude_:')) {
-        if (currentMessage) messages.push(currentMessage);
-        currentMessage = { role: 'assistant', content: '' };
-      } else if (line.startsWith('_Human_:')) {
-        if (currentMessage) messages.push(currentMessage);
-        currentMessage = { role: 'user', content: '' };
-      } else if (currentMessage && line.trim()) {
-        currentMessage.content += (currentMessage.content ? '\n' : '') + line;
-      }
-    }
-
-    if (currentMessage) messages.push(currentMessage);
-    return messages.filter(m => m.content.trim());
+  // Thinking section HTML without its toggle button
+  getThinkingHtml(element) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('button').forEach(el => el.remove());
+    return clone.textContent.trim() ? clone.innerHTML.trim() : '';
   }
 }
 
-/**
- * Main execution logic for the content script.
- * Listens for the message from the background script to start extraction.
- */
-if (typeof window.claude_extractor_injected === 'undefined') {
-    window.claude_extractor_injected = true;
-
-    chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
-        if (message.action === 'extractConversation') {
-            (async () => {
-                try {
-                    const extractor = new ClaudeExtractor();
-                    const conversationData = await extractor.extractConversation();
-
-                    if (conversationData && conversationData.length > 0) {
-                        // Generate filename: first_ten_chars_of_url_datetime_with_underscores
-                        const url = window.location.href;
-                        const urlStart = url.replace(/^https?:\/\//, '').substring(0, 10).replace(/[^a-z0-9]/gi, '_');
-                        const now = new Date();
-                        const datetime = now.toISOString().replace(/[-:T]/g, '_').split('.')[0]; // YYYY_MM_DD_HH_MM_SS
-                        const filename = `${urlStart}_${datetime}.txt`;
-
-                        // Use the content processor for consistent formatting
-                        // Check if ContentProcessor is available (it should be injected before this script)
-                        if (typeof window.ContentProcessor === 'undefined') {
-                            console.error('ContentProcessor not available, using fallback formatting');
-                            // Fallback to simple formatting
-                            const formattedContent = `chat url: ${url}\n\n` +
-                                conversationData.map(msg => `${msg.role === 'user' ? 'Human' : 'Claude'}:\n${msg.content}`).join('\n\n');
-
-                            sendResponse({
-                                success: true,
-                                content: formattedContent,
-                                filename: filename,
-                            });
-                            return;
-                        }
-
-                        const contentProcessor = new window.ContentProcessor();
-                        const formattedContent = contentProcessor.processConversation(
-                            conversationData,
-                            'text',
-                            {
-                                includeTimestamps: false,
-                                includeMetadata: true,
-                                platform: 'Claude',
-                                url: url
-                            }
-                        );
-
-                        sendResponse({
-                            success: true,
-                            content: formattedContent,
-                            filename: filename,
-                        });
-                    } else {
-                        throw new Error('No valid messages were extracted from the page.');
-                    }
-                } catch (error) {
-                    console.error('Extraction failed in content script:', error);
-                    sendResponse({ success: false, error: error.message });
-                }
-            })();
-        }
-        return true; // Keep message channel open for async response.
-    });
-}
\ No newline at end of file
+BaseExtractor.register('claude', ClaudeExtractor);
@@ -1,64 +1,107 @@
 // Universal LLM Conversation Exporter - Gemini Extractor
 
-class GeminiExtractor {
-    constructor() {
+class GeminiExtractor extends BaseExtractor {
+    constructor(options = {}) {
+        super('gemini', options);
         this.selectors = {
             // User query content
             userQueryContent: 'user-query-content',
 
             // Gemini message content
-            messageContent: 'message-content'
+            messageContent: 'message-content',
+
+            // A full Gemini turn, and the reasoning panel inside it
+            modelResponse: 'model-response',
+            modelThoughts: 'model-thoughts',
+
+            // Canvas chip in a response, the Canvas panel it opens, and the panel's close button
+            artifactCard: 'immersive-entry-chip',
+            artifactPanel: 'immersive-panel, code-immersive-panel',
+            artifactCloseButton: 'button[aria-label*="Close" i]',
+
+            // Numbered grounding markers in a response, and the source chips listed under it
+            citationMarker: 'source-footnote, sup[data-turn-source-index]',
+            sourceList: 'sources-list, [data-test-id="sources-list"]',
+
+            // Sidebar history links, used for bulk export
+            sidebarConversationLink: 'a[data-test-id="conversation"], a[href^="/app/"]',
+
+            // Model picker ("2.5 Flash", "2.5 Pro") at the top of the chat
+            modelSwitcher: '[data-test-id="bard-mode-menu-button"]'
         };
+
+        // Matches the URL of a single conversation
+        this.conversationUrlPattern = /\/app\/[\w-]+$/;
+        this.expandDelay = 600;
     }
 
     /**
      * Extract conversation from Gemini interface
      */
-    extractConversation() {
+    async extractConversation() {
         console.log('Gemini Extractor: Starting simple extraction...');
 
         const messages = [];
 
-        // Find all elements of both types
-        const userElements = Array.from(document.querySelectorAll(this.selectors.userQueryContent));
-        const geminiElements = Array.from(document.querySelectorAll(this.selectors.messageContent));
-
-        console.log(`Found ${userElements.length} user messages and ${geminiElements.length} Gemini messages`);
-
-        // Combine all elements and sort by their position in the document (top to bottom)
-        const allElements = [
-            ...userElements.map(el => ({ element: el, type: 'user' })),
-            ...geminiElements.map(el => ({ element: el, type: 'assistant' }))
-        ];
-
-        // Sort by document position (top to bottom)
-        allElements.sort((a, b) => {
-            const position = a.element.compareDocumentPosition(b.element);
-            if (position & Node.DOCUMENT_POSITION_FOLLOWING) {
-                return -1; // a comes before b
-            } else if (position & Node.DOCUMENT_POSITION_PRECEDING) {
-                return 1; // a comes after b
-            }
-            return 0; // same position
-        });
+        // Every message of long conversations, including those the page unmounted again while loading;
+        // content rendered inside the reasoning panel is not an answer
+        const elements = await new window.HistoryLoader().loadFullHistory(() =>
+            Array.from(document.querySelectorAll(`${this.selectors.userQueryContent}, ${this.selectors.messageContent}`))
+                .filter(el => !el.closest(this.selectors.modelThoughts)));
+
+        if (this.options.includeThinking) {
+            await this.expandThinkingSections();
+        }
+
+        // Save Canvas documents before the messages are read, so their chips can link to them
+        await this.collectArtifacts();
+
+        const allElements = elements.map(el => ({
+            element: el,
+            type: el.matches(this.selectors.userQueryContent) ? 'user' : 'assistant'
+        }));
+
+        const userCount = allElements.filter(({ type }) => type === 'user').length;
+        console.log(`Found ${userCount} user messages and ${allElements.length - userCount} Gemini messages`);
 
         // Process elements in order
         allElements.forEach(({ element, type }) => {
             // FORMATTING FIX: Get innerHTML to preserve structure, fallback to text
             let content = '';
+            let sources = [];
             try {
                 // Try to get HTML content first to preserve formatting
-                content = element.innerHTML || element.textContent || element.innerText || '';
+                const clone = this.linkArtifacts(element.cloneNode(true));
+                if (type === 'assistant') {
+                    // The source chips sit under the message content, in the same response
+                    sources = this.extractSources(clone, element.closest(this.selectors.modelResponse));
+                }
+                content = clone.innerHTML || clone.textContent || '';
             } catch (error) {
                 // Fallback to text content if innerHTML fails
                 content = element.textContent || element.innerText || '';
             }
+            if (type === 'assistant') {
+                content += this.getArtifactLinks(element);
+            }
 
             if (content.trim()) {
-                messages.push({
+                const message = {
                     role: type,
                     content: content.trim()
-                });
+                };
+                const thinking = type === 'assistant' && this.options.includeThinking ? this.getThinking(element) : '';
+                if (thinking) {
+                    message.thinking = thinking;
+                }
+                if (sources.length > 0) {
+                    message.sources = sources;
+                }
+                const timestamp = this.findTimestamp(element.closest(`${this.selectors.modelResponse}, user-query`) || element);
+                if (timestamp) {
+                    message.timestamp = timestamp;
+                }
+                messages.push(message);
             }
         });
 
@@ -70,61 +113,51 @@ class GeminiExtractor {
         return messages;
     }
 
-    // All complex methods removed - using simple element selection
-}
-
-// Export for use in main extractor
-if (typeof window !== 'undefined') {
-    window.GeminiExtractor = GeminiExtractor;
-}
-
-// Message listener for content script
-if (typeof window.gemini_extractor_injected === 'undefined') {
-    window.gemini_extractor_injected = true;
+    /**
+     * Links for Canvas chips rendered in the response next to the message content rather than inside it
+     */
+    getArtifactLinks(messageElement) {
+        const response = messageElement.closest(this.selectors.modelResponse);
+        if (!response || typeof window.ArtifactCollector === 'undefined') return '';
+
+        return Array.from(response.querySelectorAll('[data-artifact-path]'))
+            .filter(card => !card.closest(this.selectors.messageContent))
+            .map(card => window.ArtifactCollector.createLink(card).outerHTML)
+            .join('');
+    }
 
-    chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
-        if (message.action === 'extractConversation') {
-            try {
-                const extractor = new GeminiExtractor();
-                const conversationData = extractor.extractConversation();
-
-                if (conversationData && conversationData.length > 0) {
-                    // Generate filename: first_ten_chars_of_url_datetime_with_underscores
-                    const url = window.location.href;
-                    const urlStart = url.replace(/^https?:\/\//, '').substring(0, 10).replace(/[^a-z0-9]/gi, '_');
-                    const now = new Date();
-                    const datetime = now.toISOString().replace(/[-:T]/g, '_').split('.')[0]; // YYYY_MM_DD_HH_MM_SS
-                    const filename = `${urlStart}_${datetime}.txt`;
-
-                    // Use the content processor for consistent formatting
-                    const contentProcessor = new window.ContentProcessor();
-                    const formattedContent = contentProcessor.processConversation(
-                        conversationData,
-                        'text',
-                        {
-                            includeTimestamps: false,
-                            includeMetadata: true,
-                            platform: 'Gemini',
-                            url: url
-                        }
-                    );
-
-                    sendResponse({
-                        success: true,
-                        content: formattedContent,
-                        filename: filename,
-                    });
-                } else {
-                    throw new Error('No valid messages were extracted from the page.');
-                }
-            } catch (error) {
-                console.error('Gemini extraction error:', error);
-                sendResponse({
-                    success: false,
-                    error: error.message,
-                });
+    /**
+     * Open collapsed "Show thinking" panels so their text is rendered
+     */
+    async expandThinkingSections() {
+        let expanded = 0;
+        document.querySelectorAll(this.selectors.modelThoughts).forEach(panel => {
+            const toggle = panel.querySelector('button');
+            if (toggle && toggle.getAttribute('aria-expanded') !== 'true' && /show thinking/i.test(toggle.textContent || '')) {
+                toggle.click();
+                this.expandedToggles.push(toggle);
+                expanded++;
             }
+        });
+
+        if (expanded > 0) {
+            console.log(`Gemini Extractor: Expanded ${expanded} thinking sections`);
+            await new Promise(resolve => setTimeout(resolve, this.expandDelay));
         }
-        return true;
-    });
+    }
+
+    /**
+     * Get the reasoning panel HTML belonging to a Gemini message, without its toggle
+     */
+    getThinking(messageElement) {
+        const response = messageElement.closest(this.selectors.modelResponse);
+        const panel = response ? response.querySelector(this.selectors.modelThoughts) : null;
+        if (!panel) return '';
+
+        const panelClone = panel.cloneNode(true);
+        panelClone.querySelectorAll('button').forEach(el => el.remove());
+        return panelClone.textContent.trim() ? panelClone.innerHTML.trim() : '';
+    }
 }
+
+BaseExtractor.register('gemini', GeminiExtractor);
@@ -1,65 +1,120 @@
 // Universal LLM Conversation Exporter - Grok Extractor
 
-class GrokExtractor {
-    constructor() {
+class GrokExtractor extends BaseExtractor {
+    constructor(options = {}) {
+        super('grok', options);
         this.selectors = {
             // Message bubbles containing both user and Grok messages
             messageBubble: 'div[class*="message-bubble"]',
 
             // Elements to exclude (thinking containers)
-            thinkingContainer: 'div[class*="thinking-container"]'
+            thinkingContainer: 'div[class*="thinking-container"]',
+
+            // Row around each bubble; Grok aligns user rows to the end and its own replies to the start
+            userAlignedRow: '[class*="items-end"]',
+            assistantAlignedRow: '[class*="items-start"]',
+            // Explicit role markers, used when present
+            userMarker: '[data-testid="user-message"], [data-message-author-role="user"]',
+            assistantMarker: '[data-testid="assistant-message"], [data-message-author-role="assistant"]',
+
+            // Sidebar history links, used for bulk export
+            sidebarConversationLink: 'a[href^="/c/"], a[href*="/i/grok?conversation="]',
+
+            // Model picker next to the prompt box
+            modelSwitcher: 'button[aria-label="Model select"]',
+
+            // Inline citation links in an answer, and the web results listed with it
+            citationMarker: 'a[href^="http"][class*="citation"], sup[class*="citation"]',
+            sourceList: '[class*="web-results"], [data-testid="web-results"]'
         };
+
+        // Matches the URL of a single conversation
+        this.conversationUrlPattern = /(\/c\/[\w-]+|[?&]conversation=[\w-]+)$/;
+        this.expandDelay = 600;
     }
 
     /**
      * Extract conversation from Grok interface
      */
-    extractConversation() {
+    async extractConversation() {
         console.log('Grok Extractor: Starting extraction...');
 
         const messages = [];
 
-        // Find all message bubble elements
-        const messageBubbles = Array.from(document.querySelectorAll(this.selectors.messageBubble));
-
-        // Filter out thinking containers
-        const validMessages = messageBubbles.filter(element => {
-            // Check if this element or any parent contains thinking-container class
-            let current = element;
-            while (current) {
-                if (current.className && current.className.includes('thinking-container')) {
-                    return false;
+        // Every message of long conversations, including those the page unmounted again while loading;
+        // bubbles inside a thinking container are reasoning, not messages
+        const validMessages = await new window.HistoryLoader().loadFullHistory(() =>
+            Array.from(document.querySelectorAll(this.selectors.messageBubble)).filter(element => {
+                // Check if this element or any parent contains thinking-container class
+                let current = element;
+                while (current) {
+                    if (current.className && current.className.includes('thinking-container')) {
+                        return false;
+                    }
+                    current = current.parentElement;
                 }
-                current = current.parentElement;
-            }
-            return true;
-        });
+                return true;
+            }));
+
+        if (this.options.includeThinking) {
+            await this.expandThinkingSections();
+        }
+
+        // Reasoning shown above an answer, in document order, waiting for the bubble it belongs to
+        const thinkingContainers = this.options.includeThinking
+            ? Array.from(document.querySelectorAll(this.selectors.thinkingContainer))
+            : [];
+        let pendingThinking = '';
 
-        console.log(`Found ${messageBubbles.length} total message bubbles, ${validMessages.length} valid messages after filtering`);
+        console.log(`Found ${validMessages.length} valid messages`);
 
         // Process each valid message bubble
         validMessages.forEach((element) => {
+            // Thinking containers before or inside this bubble belong to it; copies of unmounted
+            // bubbles come first and have none left on the page
+            while (element.isConnected && thinkingContainers.length > 0 &&
+                (element.contains(thinkingContainers[0]) ||
+                    thinkingContainers[0].compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING)) {
+                pendingThinking += this.getThinking(thinkingContainers.shift());
+            }
+
+            // Keep reasoning rendered inside the bubble out of the answer
+            const bubble = element.cloneNode(true);
+            bubble.querySelectorAll(this.selectors.thinkingContainer).forEach(el => el.remove());
+            // Web results are listed in the row around the bubble
+            const sources = this.extractSources(bubble, element.parentElement);
+
             // FORMATTING FIX: Get innerHTML to preserve structure, fallback to text
             let content = '';
             try {
                 // Try to get HTML content first to preserve formatting
-                content = element.innerHTML || element.textContent || element.innerText || '';
+                content = bubble.innerHTML || bubble.textContent || bubble.innerText || '';
             } catch (error) {
                 // Fallback to text content if innerHTML fails
-                content = element.textContent || element.innerText || '';
+                content = bubble.textContent || bubble.innerText || '';
             }
 
             if (content.trim()) {
-                // Try to determine if this is a user or assistant message
-                // This is a simple heuristic - you may need to adjust based on Grok's actual HTML structure
-                const isUserMessage = this.isUserMessage(element);
-                const role = isUserMessage ? 'user' : 'assistant';
-                const prefix = isUserMessage ? 'User: ' : 'Grok: ';
+                const previousRole = messages.length > 0 ? messages[messages.length - 1].role : null;
+                const role = this.detectRole(element, previousRole);
 
-                messages.push({
+                const message = {
                     role: role,
-                    content: `${prefix}${content.trim()}`
-                });
+                    content: content.trim()
+                };
+                if (role === 'assistant' && pendingThinking) {
+                    message.thinking = pendingThinking;
+                    pendingThinking = '';
+                }
+                if (sources.length > 0) {
+                    message.sources = sources;
+                }
+                // The row around the bubble also holds its action bar and time tooltip
+                const timestamp = this.findTimestamp(element.parentElement || element);
+                if (timestamp) {
+                    message.timestamp = timestamp;
+                }
+                messages.push(message);
             }
         });
 
@@ -72,81 +127,88 @@ class GrokExtractor {
     }
 
     /**
-     * Determine if a message bubble is from the user
-     * This is a heuristic that may need adjustment based on Grok's actual HTML structure
+     * Determine who wrote a message bubble from the page structure.
+     * Checks explicit role markers, then the alignment of the row the bubble sits in,
+     * then where the bubble is actually laid out. Only when none of these answer is the
+     * role inferred from the previous message, so a single odd bubble cannot flip the rest.
      */
-    isUserMessage(element) {
-        // Look for common indicators of user messages
-        const elementText = element.className || '';
-        const parentText = element.parentElement?.className || '';
-
-        // Common patterns for user messages (adjust as needed)
-        if (elementText.includes('user') || parentText.includes('user')) {
-            return true;
+    detectRole(element, previousRole) {
+        if (element.closest(this.selectors.userMarker) || element.querySelector(this.selectors.userMarker)) {
+            return 'user';
+        }
+        if (element.closest(this.selectors.assistantMarker) || element.querySelector(this.selectors.assistantMarker)) {
+            return 'assistant';
         }
 
-        // If we can't determine, alternate between user and assistant
-        // This is a fallback - ideally we'd have better selectors
-        const allMessages = Array.from(document.querySelectorAll(this.selectors.messageBubble));
-        const index = allMessages.indexOf(element);
-        return index % 2 === 0; // Assume first message is user, then alternating
-    }
+        // The nearest alignment class wins, since outer layout wrappers may use either
+        const userRow = element.closest(this.selectors.userAlignedRow);
+        const assistantRow = element.closest(this.selectors.assistantAlignedRow);
+        if (userRow && (!assistantRow || assistantRow.contains(userRow))) {
+            return 'user';
+        }
+        if (assistantRow) {
+            return 'assistant';
+        }
 
-    // All complex methods removed - using simple element selection
-}
+        const layoutRole = this.detectRoleFromLayout(element);
+        if (layoutRole) {
+            return layoutRole;
+        }
 
-// Export for use in main extractor
-if (typeof window !== 'undefined') {
-    window.GrokExtractor = GrokExtractor;
-}
+        console.warn('Grok Extractor: Could not determine message role from the page, inferring from the previous message');
+        return previousRole === 'user' ? 'assistant' : 'user';
+    }
 
-// Message listener for content script
-if (typeof window.grok_extractor_injected === 'undefined') {
-    window.grok_extractor_injected = true;
+    /**
+     * User bubbles are pushed to the right of the conversation column; Grok's replies start at the left
+     */
+    detectRoleFromLayout(element) {
+        const bubble = element.getBoundingClientRect();
+        let column = element.parentElement;
+        while (column && column.getBoundingClientRect().width <= bubble.width + 1) {
+            column = column.parentElement;
+        }
+        if (!column || bubble.width === 0) {
+            return null;
+        }
 
-    chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
-        if (message.action === 'extractConversation') {
-            try {
-                const extractor = new GrokExtractor();
-                const conversationData = extractor.extractConversation();
-
-                if (conversationData && conversationData.length > 0) {
-                    // Generate filename: first_ten_chars_of_url_datetime_with_underscores
-                    const url = window.location.href;
-                    const urlStart = url.replace(/^https?:\/\//, '').substring(0, 10).replace(/[^a-z0-9]/gi, '_');
-                    const now = new Date();
-                    const datetime = now.toISOString().replace(/[-:T]/g, '_').split('.')[0]; // YYYY_MM_DD_HH_MM_SS
-                    const filename = `${urlStart}_${datetime}.txt`;
-
-                    // Use the content processor for consistent formatting
-                    const contentProcessor = new window.ContentProcessor();
-                    const formattedContent = contentProcessor.processConversation(
-                        conversationData,
-                        'text',
-                        {
-                            includeTimestamps: false,
-                            includeMetadata: true,
-                            platform: 'Grok',
-                            url: url
-                        }
-                    );
-
-                    sendResponse({
-                        success: true,
-                        content: formattedContent,
-                        filename: filename,
-                    });
-                } else {
-                    throw new Error('No valid messages were extracted from the page.');
-                }
-            } catch (error) {
-                console.error('Grok extraction error:', error);
-                sendResponse({
-                    success: false,
-                    error: error.message,
-                });
+        const bounds = column.getBoundingClientRect();
+        const leftGap = bubble.left - bounds.left;
+        const rightGap = bounds.right - bubble.right;
+        if (Math.abs(leftGap - rightGap) < 8) {
+            return null;
+        }
+        return leftGap > rightGap ? 'user' : 'assistant';
+    }
+
+    /**
+     * Open collapsed thinking containers so their text is rendered
+     */
+    async expandThinkingSections() {
+        let expanded = 0;
+        document.querySelectorAll(this.selectors.thinkingContainer).forEach(container => {
+            const toggle = container.querySelector('button[aria-expanded="false"]');
+            if (toggle) {
+                toggle.click();
+                this.expandedToggles.push(toggle);
+                expanded++;
             }
+        });
+
+        if (expanded > 0) {
+            console.log(`Grok Extractor: Expanded ${expanded} thinking sections`);
+            await new Promise(resolve => setTimeout(resolve, this.expandDelay));
         }
-        return true;
-    });
+    }
+
+    /**
+     * Get the reasoning HTML of a thinking container, without its toggle
+     */
+    getThinking(container) {
+        const containerClone = container.cloneNode(true);
+        containerClone.querySelectorAll('button').forEach(el => el.remove());
+        return containerClone.textContent.trim() ? containerClone.innerHTML.trim() : '';
+    }
 }
+
+BaseExtractor.register('grok', GrokExtractor);
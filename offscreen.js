@@ -22,6 +22,104 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             sendResponse({ success: false, error: error.message });
         }
     }
+
+    if (message.action === 'createPdfUrl') {
+        try {
+            // Lay out the conversation document model into PDF pages
+            const doc = JSON.parse(message.content);
+            const writer = new PdfWriter();
+            const pdfBytes = writer.render(doc);
+            const blob = new Blob([pdfBytes], { type: 'application/pdf' });
+            const url = URL.createObjectURL(blob);
+
+            sendResponse({ success: true, url: url, warning: writer.getUnsupportedCharactersWarning() });
+
+            setTimeout(() => {
+                URL.revokeObjectURL(url);
+            }, 60000);
+
+        } catch (error) {
+            console.error('Error rendering PDF:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
     
+    // ZIP archives arrive in batches: startZip, then addZipFiles as often as needed, then finishZip
+    if (message.action === 'startZip') {
+        const archiveId = nextArchiveId++;
+        archives.set(archiveId, { zip: new ZipWriter(), warning: null });
+        sendResponse({ success: true, archiveId: archiveId });
+    }
+
+    if (message.action === 'addZipFiles') {
+        try {
+            const paths = addZipFiles(getArchive(message.archiveId), message.files);
+            sendResponse({ success: true, paths: paths });
+        } catch (error) {
+            console.error('Error adding files to ZIP archive:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    if (message.action === 'finishZip') {
+        createZipUrl(message.archiveId)
+            .then(({ url, warning }) => sendResponse({ success: true, url: url, warning: warning }))
+            .catch(error => {
+                console.error('Error creating ZIP archive:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+    }
+
+    if (message.action === 'discardZip') {
+        archives.delete(message.archiveId);
+        sendResponse({ success: true });
+    }
+
     return true; // Keep message channel open for async response
 });
+
+// ZIP archives being built, by the id startZip handed out
+const archives = new Map();
+let nextArchiveId = 1;
+
+function getArchive(archiveId) {
+    const archive = archives.get(archiveId);
+    if (!archive) {
+        throw new Error('Unknown ZIP archive; the offscreen document may have been closed.');
+    }
+    return archive;
+}
+
+// Add a batch of files to an archive and return the paths they were stored under.
+// Each file is { path, content } for text, { path, dataUrl } for binary data,
+// or { path, content, render: 'pdf' } for a PDF document model to lay out first.
+function addZipFiles(archive, files) {
+    return (files || []).map(file => {
+        if (file.dataUrl) {
+            return archive.zip.addDataUrl(file.path, file.dataUrl);
+        }
+        if (file.render === 'pdf') {
+            const writer = new PdfWriter();
+            const path = archive.zip.addFile(file.path, writer.render(JSON.parse(file.content)));
+            archive.warning = archive.warning || writer.getUnsupportedCharactersWarning();
+            return path;
+        }
+        return archive.zip.addFile(file.path, file.content || '');
+    });
+}
+
+// Pack an archive's files into one ZIP and return a blob URL for it.
+// Resolves to { url, warning }, where warning reports text the PDF fonts could not show.
+async function createZipUrl(archiveId) {
+    const archive = getArchive(archiveId);
+    archives.delete(archiveId);
+
+    const blob = new Blob([await archive.zip.generate()], { type: 'application/zip' });
+    const url = URL.createObjectURL(blob);
+
+    setTimeout(() => {
+        URL.revokeObjectURL(url);
+    }, 60000);
+
+    return { url, warning: archive.warning };
+}
@@ -1,16 +1,103 @@
 // Universal LLM Conversation Exporter - Popup Script
 
+// Defaults for the export options panel; saved choices in chrome.storage.sync override these
+const DEFAULT_EXPORT_OPTIONS = {
+    format: 'text',
+    filenameStyle: 'url',
+    filenameTemplate: '{platform}/{date}_{title}',
+    saveAs: false,
+    includeMetadata: true,
+    includeTimestamps: false,
+    includeThinking: false,
+    includeAttachments: true,
+    embedAttachments: false,
+    saveTablesAsCsv: false,
+    includeAllVersions: false
+};
+
 class PopupController {
     constructor() {
         this.currentTab = null;
         this.isExporting = false;
+        this.exportOptions = { ...DEFAULT_EXPORT_OPTIONS };
         this.init();
     }
 
     async init() {
         await this.loadCurrentTab();
+        await this.loadExportOptions();
         this.setupEventListeners();
         this.updateUI();
+        await this.loadBulkStatus();
+    }
+
+    async loadBulkStatus() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getBulkExportStatus' });
+            if (response && response.success) {
+                this.updateBulkStatus(response.status);
+            }
+        } catch (error) {
+            console.error('Error loading bulk export status:', error);
+        }
+    }
+
+    async loadExportOptions() {
+        try {
+            const { exportOptions } = await chrome.storage.sync.get('exportOptions');
+            this.exportOptions = { ...DEFAULT_EXPORT_OPTIONS, ...(exportOptions || {}) };
+        } catch (error) {
+            console.error('Error loading export options:', error);
+        }
+
+        this.applyOptionsToForm();
+    }
+
+    applyOptionsToForm() {
+        for (const [key, value] of Object.entries(this.exportOptions)) {
+            const input = document.getElementById(key === 'format' ? 'exportFormat' : key);
+            if (!input) continue;
+
+            if (input.type === 'checkbox') {
+                input.checked = Boolean(value);
+            } else {
+                input.value = value;
+            }
+        }
+        this.updateFilenameTemplateVisibility();
+    }
+
+    // The template field only matters for the "Custom template" file name style
+    updateFilenameTemplateVisibility() {
+        const style = document.getElementById('filenameStyle');
+        const group = document.getElementById('filenameTemplateGroup');
+        if (style && group) {
+            group.hidden = style.value !== 'template';
+        }
+    }
+
+    readOptionsFromForm() {
+        const options = {};
+        for (const key of Object.keys(DEFAULT_EXPORT_OPTIONS)) {
+            const input = document.getElementById(key === 'format' ? 'exportFormat' : key);
+            if (!input) {
+                options[key] = this.exportOptions[key];
+                continue;
+            }
+
+            options[key] = input.type === 'checkbox' ? input.checked : input.value;
+        }
+        return options;
+    }
+
+    async saveExportOptions() {
+        this.exportOptions = this.readOptionsFromForm();
+
+        try {
+            await chrome.storage.sync.set({ exportOptions: this.exportOptions });
+        } catch (error) {
+            console.error('Error saving export options:', error);
+        }
     }
 
     async loadCurrentTab() {
@@ -33,32 +120,8 @@ class PopupController {
     }
 
     detectPlatform(url) {
-        const platformPatterns = {
-            chatgpt: [
-                /^https?:\/\/chat\.openai\.com/,
-                /^https?:\/\/chatgpt\.com/
-            ],
-            claude: [
-                /^https?:\/\/claude\.ai/
-            ],
-            gemini: [
-                /^https?:\/\/gemini\.google\.com/
-            ],
-            grok: [
-                /^https?:\/\/x\.com\/i\/grok/,
-                /^https?:\/\/grok\.com\/c\//
-            ]
-        };
-
-        for (const [platform, patterns] of Object.entries(platformPatterns)) {
-            const matches = patterns.some(pattern => pattern.test(url));
-
-            if (matches) {
-                return platform;
-            }
-        }
-
-        return null;
+        const platform = new PlatformRegistry().detect(url);
+        return platform ? platform.id : null;
     }
 
     setupEventListeners() {
@@ -68,6 +131,30 @@ class PopupController {
             this.handleExport();
         });
 
+        // Bulk export of every conversation in the sidebar
+        document.getElementById('bulkExportButton').addEventListener('click', () => {
+            this.handleBulkExport('startBulkExport');
+        });
+        document.getElementById('bulkResumeButton').addEventListener('click', () => {
+            this.handleBulkExport('resumeBulkExport');
+        });
+        document.getElementById('bulkCancelButton').addEventListener('click', () => {
+            this.handleBulkExport('cancelBulkExport');
+        });
+
+        // Progress updates from a bulk export running in the background
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.action === 'bulkExportProgress') {
+                this.updateBulkStatus(message.status);
+            }
+        });
+
+        // Persist option changes so they apply to every future export
+        document.getElementById('exportOptions').addEventListener('change', () => {
+            this.updateFilenameTemplateVisibility();
+            this.saveExportOptions();
+        });
+
         // Help link
         document.getElementById('helpLink').addEventListener('click', (e) => {
             e.preventDefault();
@@ -99,14 +186,7 @@ class PopupController {
         errorSection.style.display = 'none';
 
         // Update platform display
-        const platformNames = {
-            chatgpt: 'ChatGPT',
-            claude: 'Claude',
-            gemini: 'Gemini',
-            grok: 'Grok'
-        };
-
-        const displayName = platformNames[this.currentTab.platform] || 'Unknown Platform';
+        const displayName = new PlatformRegistry().getDisplayName(this.currentTab.platform) || 'Unknown Platform';
         platformName.textContent = displayName;
         platformStatus.className = 'platform-status';
         platformStatus.textContent = '●';
@@ -121,25 +201,25 @@ class PopupController {
             this.isExporting = true;
             this.showLoadingState();
 
-            const format = 'text';
-            const includeTimestamps = false;
-            const includeMetadata = true;
+            const { format, ...options } = this.readOptionsFromForm();
 
             const message = {
                 action: 'exportConversation',
                 format: format,
                 tabId: this.currentTab.id,
                 platform: this.currentTab.platform,
-                options: {
-                    includeTimestamps,
-                    includeMetadata
-                }
+                options: options
             };
 
             const response = await chrome.runtime.sendMessage(message);
 
             if (response.success) {
                 this.showSuccessState();
+                if (response.warning) {
+                    // Stay open so the warning can be read
+                    this.showNotification(response.warning, 'warning', 10000);
+                    return;
+                }
                 // Auto-close popup after success
                 setTimeout(() => {
                     window.close();
@@ -157,6 +237,67 @@ class PopupController {
         }
     }
 
+    async handleBulkExport(action) {
+        const bulkExportButton = document.getElementById('bulkExportButton');
+        bulkExportButton.disabled = true;
+
+        try {
+            const { format, ...options } = this.readOptionsFromForm();
+            const message = action === 'startBulkExport'
+                ? {
+                    action,
+                    format: format,
+                    tabId: this.currentTab.id,
+                    platform: this.currentTab.platform,
+                    options: options
+                }
+                : { action };
+
+            const response = await chrome.runtime.sendMessage(message);
+
+            if (response.success) {
+                this.updateBulkStatus(response.status || null);
+            } else {
+                console.error('Bulk export failed:', response.error);
+                this.showNotification(response.error || 'Bulk export failed', 'error');
+                bulkExportButton.disabled = false;
+            }
+        } catch (error) {
+            console.error('Bulk export error:', error);
+            this.showNotification('An unexpected error occurred during bulk export. Please try again.', 'error');
+            bulkExportButton.disabled = false;
+        }
+    }
+
+    updateBulkStatus(status) {
+        const bulkExportButton = document.getElementById('bulkExportButton');
+        const bulkStatus = document.getElementById('bulkStatus');
+        const bulkStatusText = document.getElementById('bulkStatusText');
+        const resumeButton = document.getElementById('bulkResumeButton');
+        const cancelButton = document.getElementById('bulkCancelButton');
+
+        if (!status) {
+            bulkStatus.style.display = 'none';
+            bulkExportButton.disabled = false;
+            return;
+        }
+
+        const processed = status.done + status.failed;
+        const failedText = status.failed > 0 ? `, ${status.failed} failed` : '';
+        const messages = {
+            running: `Exporting ${processed} of ${status.total}${failedText}...`,
+            completed: `Exported all ${status.total} conversations`,
+            incomplete: `Exported ${status.done} of ${status.total}${failedText}`,
+            interrupted: `Stopped at ${processed} of ${status.total}${failedText}`
+        };
+
+        bulkStatus.style.display = 'flex';
+        bulkStatusText.textContent = messages[status.status] || '';
+        bulkExportButton.disabled = status.status === 'running';
+        resumeButton.style.display = ['incomplete', 'interrupted'].includes(status.status) ? 'inline' : 'none';
+        cancelButton.style.display = status.status === 'completed' ? 'none' : 'inline';
+    }
+
     showLoadingState() {
         const exportButton = document.getElementById('exportButton');
         exportButton.textContent = 'Exporting...';
@@ -184,7 +325,7 @@ class PopupController {
         this.showNotification(errorMessage, 'error');
     }
 
-    showNotification(message, type = 'info') {
+    showNotification(message, type = 'info', duration = 3000) {
         // Create notification element
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
@@ -201,18 +342,20 @@ class PopupController {
             fontSize: '12px',
             fontWeight: '500',
             zIndex: '1000',
-            backgroundColor: type === 'error' ? '#d86d78ff' : '#28a745',
+            width: 'max-content',
+            maxWidth: '90%',
+            backgroundColor: { error: '#d86d78ff', warning: '#b7791f' }[type] || '#28a745',
             color: 'white'
         });
 
         document.body.appendChild(notification);
 
-        // Remove after 3 seconds
+        // Remove after a few seconds
         setTimeout(() => {
             if (notification.parentNode) {
                 notification.parentNode.removeChild(notification);
             }
-        }, 3000);
+        }, duration);
     }
 
 
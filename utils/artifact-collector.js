@@ -0,0 +1,223 @@
+// Universal LLM Conversation Exporter - Artifact Collector
+// Claude artifacts, ChatGPT canvases and Gemini Canvas documents open in a side panel, while the
+// message only shows a title card. This opens each card, saves the panel's full content as a file
+// and tags the card so the extractors can link to the file where the artifact was created.
+
+class ArtifactCollector {
+    /**
+     * @param {Object} options
+     * @param {string} options.cardSelector - Title cards inside messages that open an artifact
+     * @param {string} options.panelSelector - Side panel showing the open artifact
+     * @param {string} [options.closeButton] - Button inside the panel that closes it
+     * @param {string} [options.folder] - Archive folder for saved files, relative to the conversation file
+     */
+    constructor(options = {}) {
+        this.cardSelector = options.cardSelector;
+        this.panelSelector = options.panelSelector;
+        this.closeButton = options.closeButton || 'button[aria-label*="Close" i]';
+        this.folder = options.folder || 'artifacts';
+        this.settleDelay = options.settleDelay || 1000;
+        // Panels that open on a rendered preview have a tab or toggle for the source
+        this.codeTabPattern = /^(code|source|view code|show code)$/i;
+        this.titleSelector = '[class*="title" i], h1, h2, h3, h4';
+
+        this.files = [];
+        this.usedPaths = new Set();
+    }
+
+    /**
+     * Open every artifact card on the page and save the content of its panel
+     * @param {Element|Document} [root] - Where to look for cards
+     * @returns {Promise<Array<{path: string, content: string}>>} - Files to save next to the conversation
+     */
+    async collect(root = document) {
+        if (!this.cardSelector || !this.panelSelector) return this.files;
+
+        // Tags from an earlier export may point at files this export does not contain
+        root.querySelectorAll('[data-artifact-path]').forEach(card => {
+            card.removeAttribute('data-artifact-path');
+            card.removeAttribute('data-artifact-title');
+        });
+
+        const cards = Array.from(root.querySelectorAll(this.cardSelector))
+            .filter((card, _index, all) => !all.some(other => other !== card && other.contains(card)));
+
+        for (const card of cards) {
+            try {
+                const artifact = await this.capture(card);
+                if (artifact) {
+                    card.setAttribute('data-artifact-path', artifact.path);
+                    card.setAttribute('data-artifact-title', artifact.title);
+                }
+            } catch (error) {
+                console.warn('ArtifactCollector: Could not capture an artifact:', error);
+            }
+        }
+
+        console.log(`ArtifactCollector: Saved ${this.files.length} of ${cards.length} artifacts`);
+        return this.files;
+    }
+
+    /**
+     * Open one card, read the panel and close it again
+     * @returns {Promise<{title: string, path: string}|null>}
+     */
+    async capture(card) {
+        const title = this.readTitle(card);
+        const trigger = card.matches('button, [role="button"], a') ? card : (card.querySelector('button, [role="button"]') || card);
+        trigger.click();
+        await this.delay(this.settleDelay);
+
+        const panel = document.querySelector(this.panelSelector);
+        if (!panel) {
+            console.warn(`ArtifactCollector: No panel opened for "${title}"`);
+            return null;
+        }
+
+        try {
+            await this.showSource(panel);
+            const source = this.readPanel(panel);
+            if (!source.content.trim()) {
+                console.warn(`ArtifactCollector: Panel of "${title}" is empty`);
+                return null;
+            }
+
+            const path = this.buildPath(title, this.getExtension(title, source));
+            this.files.push({ path, content: source.content });
+            return { title, path };
+        } finally {
+            const close = panel.querySelector(this.closeButton);
+            if (close) {
+                close.click();
+                await this.delay(this.settleDelay / 2);
+            }
+        }
+    }
+
+    /**
+     * Switch a panel that shows a rendered preview to its source
+     */
+    async showSource(panel) {
+        const tab = Array.from(panel.querySelectorAll('button, [role="tab"], [role="radio"]')).find(element => {
+            const label = (element.getAttribute('aria-label') || element.textContent || '').trim();
+            return this.codeTabPattern.test(label);
+        });
+        if (tab && tab.getAttribute('aria-selected') !== 'true' && tab.getAttribute('aria-checked') !== 'true') {
+            tab.click();
+            await this.delay(this.settleDelay / 2);
+        }
+    }
+
+    /**
+     * Read the artifact from a code editor, a code block or a rich-text document
+     * @returns {{content: string, language: string, isDocument: boolean}}
+     */
+    readPanel(panel) {
+        // CodeMirror renders one .cm-line per source line
+        const editorLines = panel.querySelectorAll('.cm-content .cm-line');
+        if (editorLines.length > 0) {
+            return {
+                content: Array.from(editorLines).map(line => line.textContent).join('\n'),
+                language: panel.querySelector('.cm-content').getAttribute('data-language') || '',
+                isDocument: false
+            };
+        }
+
+        const code = panel.querySelector('pre code') || panel.querySelector('pre');
+        if (code) {
+            const processor = typeof window.ContentProcessor !== 'undefined' ? new window.ContentProcessor() : null;
+            return {
+                content: code.textContent.replace(/\n$/, ''),
+                language: processor ? processor.getCodeBlockLanguage(code.closest('pre') || code) : '',
+                isDocument: false
+            };
+        }
+
+        // Documents are saved as Markdown
+        const documentBody = panel.querySelector('.ProseMirror, [class*="markdown"], .prose') || panel;
+        const content = typeof window.ContentProcessor !== 'undefined'
+            ? new window.ContentProcessor().htmlToMarkdown(documentBody.innerHTML)
+            : documentBody.textContent;
+        return { content: content.trim(), language: 'markdown', isDocument: true };
+    }
+
+    /**
+     * The card's title element, or else its first piece of text
+     */
+    readTitle(card) {
+        const titleElement = card.querySelector(this.titleSelector) ||
+            Array.from(card.querySelectorAll('*')).find(element => element.children.length === 0 && element.textContent.trim());
+        const text = (titleElement || card).textContent || '';
+        const firstLine = text.split('\n').map(line => line.trim()).find(Boolean) || '';
+        return firstLine.substring(0, 80) || 'Artifact';
+    }
+
+    /**
+     * File extension from a filename-like title, the editor's language or the content itself
+     */
+    getExtension(title, source) {
+        const titleExtension = (title.match(/\.([a-z0-9]{1,10})$/i) || [])[1];
+        if (titleExtension) return titleExtension.toLowerCase();
+
+        if (source.isDocument) return 'md';
+        const languageExtension = new window.ContentProcessor().getCodeFileExtension(source.language);
+        if (languageExtension !== 'txt') return languageExtension;
+
+        const start = source.content.trimStart().substring(0, 100).toLowerCase();
+        if (start.startsWith('<svg') || (start.startsWith('<?xml') && source.content.includes('<svg'))) return 'svg';
+        if (start.startsWith('<!doctype html') || start.startsWith('<html')) return 'html';
+        return 'txt';
+    }
+
+    /**
+     * Name a saved artifact: <folder>/<number>-<title>.<ext>, numbered in order of creation
+     */
+    buildPath(title, extension) {
+        const number = String(this.files.length + 1).padStart(2, '0');
+        const baseName = title
+            .replace(new RegExp(`\\.${extension}$`, 'i'), '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .substring(0, 50) || 'artifact';
+
+        const prefix = `${this.folder}/${number}-${baseName}`;
+        let path = `${prefix}.${extension}`;
+        for (let counter = 2; this.usedPaths.has(path); counter++) {
+            path = `${prefix}-${counter}.${extension}`;
+        }
+        this.usedPaths.add(path);
+        return path;
+    }
+
+    /**
+     * Replace the tagged cards inside a cloned message with links to the saved files
+     */
+    static replaceCards(root) {
+        const cards = root.matches && root.matches('[data-artifact-path]')
+            ? [root]
+            : Array.from(root.querySelectorAll('[data-artifact-path]'));
+        cards.forEach(card => card.replaceWith(ArtifactCollector.createLink(card)));
+    }
+
+    /**
+     * Paragraph linking to the file saved for a tagged card
+     */
+    static createLink(card) {
+        const paragraph = document.createElement('p');
+        const link = document.createElement('a');
+        link.setAttribute('href', card.getAttribute('data-artifact-path'));
+        link.textContent = card.getAttribute('data-artifact-title') || 'Artifact';
+        paragraph.append('Artifact: ', link);
+        return paragraph;
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Export for use in extractors
+if (typeof window !== 'undefined') {
+    window.ArtifactCollector = ArtifactCollector;
+}
@@ -0,0 +1,171 @@
+// Universal LLM Conversation Exporter - Attachment Collector
+// Downloads the images and uploaded files shown in a conversation from the page context,
+// where the user's session cookies apply, and points the message HTML at the saved copies
+
+class AttachmentCollector {
+    /**
+     * @param {Object} options
+     * @param {boolean} [options.embed] - Inline images as data URIs instead of returning them as files
+     * @param {string} [options.folder] - Archive folder for saved files, relative to the conversation file
+     */
+    constructor(options = {}) {
+        this.embed = Boolean(options.embed);
+        this.folder = options.folder || 'attachments';
+        this.maxBytes = options.maxBytes || 25 * 1024 * 1024;
+        this.imageSelector = 'img[src]';
+        this.fileLinkSelector = '[data-testid="file-thumbnail"] a[href], a[data-testid="file-thumbnail"][href]';
+        this.mimeExtensions = {
+            'image/png': 'png',
+            'image/jpeg': 'jpg',
+            'image/gif': 'gif',
+            'image/webp': 'webp',
+            'image/svg+xml': 'svg',
+            'image/avif': 'avif',
+            'application/pdf': 'pdf',
+            'text/plain': 'txt',
+            'text/csv': 'csv',
+            'application/json': 'json'
+        };
+
+        this.files = [];
+        this.saved = new Map();
+        this.usedPaths = new Set();
+    }
+
+    /**
+     * Fetch the attachments of every message and rewrite their links in place
+     * @param {Array<Object>} messages - Extracted messages; content and alternate versions are updated
+     * @returns {Promise<Array<{path: string, dataUrl: string}>>} - Files to save next to the conversation
+     */
+    async collect(messages) {
+        for (let index = 0; index < messages.length; index++) {
+            const message = messages[index];
+            message.content = await this.processHtml(message.content, index + 1);
+            for (const alternate of message.alternates || []) {
+                alternate.content = await this.processHtml(alternate.content, index + 1);
+            }
+        }
+
+        const savedCount = Array.from(this.saved.values()).filter(Boolean).length;
+        console.log(`AttachmentCollector: Saved ${savedCount} of ${this.saved.size} attachments${this.embed ? ' inline' : ''}`);
+        return this.files;
+    }
+
+    /**
+     * Point the images and file links of one message at their saved copies
+     */
+    async processHtml(html, messageNumber) {
+        if (!html) return html;
+
+        // An inert document, so nothing starts loading while the HTML is inspected
+        const body = new DOMParser().parseFromString(html, 'text/html').body;
+        const targets = [
+            ...Array.from(body.querySelectorAll(this.imageSelector)).map(element => ({ element, attribute: 'src', kind: 'image' })),
+            ...Array.from(body.querySelectorAll(this.fileLinkSelector)).map(element => ({ element, attribute: 'href', kind: 'file' }))
+        ];
+        if (targets.length === 0) return html;
+
+        for (const { element, attribute, kind } of targets) {
+            const url = element.getAttribute(attribute);
+            const nameHint = kind === 'image' ? element.getAttribute('alt') : element.textContent;
+            const saved = await this.save(url, kind, messageNumber, nameHint);
+            if (!saved) {
+                // Page-relative links would point nowhere once the export leaves the page
+                const absoluteUrl = this.toAbsoluteUrl(url);
+                if (absoluteUrl) element.setAttribute(attribute, absoluteUrl);
+                continue;
+            }
+
+            element.setAttribute('data-source-url', saved.url);
+            element.setAttribute(attribute, this.embed ? saved.dataUrl : saved.path);
+        }
+
+        return body.innerHTML;
+    }
+
+    /**
+     * Download one attachment, once per URL
+     * @returns {Promise<{url: string, path: string, dataUrl: string}|null>} - null if it could not be saved
+     */
+    async save(url, kind, messageNumber, nameHint) {
+        // Only images can be shown inline; other files keep their link in a single-file export
+        if (this.embed && kind !== 'image') return null;
+
+        const absoluteUrl = this.toAbsoluteUrl(url);
+        if (!absoluteUrl) return null;
+        if (this.saved.has(absoluteUrl)) return this.saved.get(absoluteUrl);
+
+        try {
+            const response = await fetch(absoluteUrl, { credentials: 'include' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const blob = await response.blob();
+            if (blob.size > this.maxBytes) {
+                throw new Error(`file is larger than ${Math.round(this.maxBytes / 1024 / 1024)} MB`);
+            }
+
+            const dataUrl = await this.blobToDataUrl(blob);
+            const path = this.buildPath(absoluteUrl, blob.type, kind, messageNumber, nameHint);
+            const saved = { url: absoluteUrl, path, dataUrl };
+
+            if (!this.embed) {
+                this.files.push({ path, dataUrl });
+            }
+            this.saved.set(absoluteUrl, saved);
+            return saved;
+        } catch (error) {
+            console.warn(`AttachmentCollector: Could not download ${absoluteUrl}, keeping the original link:`, error);
+            this.saved.set(absoluteUrl, null);
+            return null;
+        }
+    }
+
+    /**
+     * Name a saved attachment: <folder>/<message number>-<name>.<ext>, unique within the export
+     */
+    buildPath(url, mimeType, kind, messageNumber, nameHint) {
+        const urlName = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+        const urlExtension = (urlName.match(/\.([a-z0-9]{1,5})$/i) || [])[1];
+        const extension = this.mimeExtensions[(mimeType || '').split(';')[0]] || (urlExtension || 'bin').toLowerCase();
+
+        const baseName = (urlExtension ? urlName.slice(0, -urlExtension.length - 1) : (nameHint || kind))
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .substring(0, 40) || kind;
+
+        const prefix = `${this.folder}/${String(messageNumber).padStart(3, '0')}-${baseName}`;
+        let path = `${prefix}.${extension}`;
+        for (let counter = 2; this.usedPaths.has(path); counter++) {
+            path = `${prefix}-${counter}.${extension}`;
+        }
+        this.usedPaths.add(path);
+        return path;
+    }
+
+    toAbsoluteUrl(url) {
+        if (!url || url.startsWith('data:')) return null;
+        try {
+            const absolute = new URL(url, window.location.href);
+            return ['http:', 'https:', 'blob:'].includes(absolute.protocol) ? absolute.href : null;
+        } catch {
+            return null;
+        }
+    }
+
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+}
+
+// Export for use in extractors
+if (typeof window !== 'undefined') {
+    window.AttachmentCollector = AttachmentCollector;
+}
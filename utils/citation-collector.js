@@ -0,0 +1,148 @@
+// Universal LLM Conversation Exporter - Citation Collector
+// Web search answers show their sources as inline pills or numbered markers and as a source list
+// under the answer. This collects each answer's sources and replaces the inline markers with
+// numbered footnote references that the content processor renders for every export format.
+
+class CitationCollector {
+    /**
+     * @param {Object} options
+     * @param {string} [options.markerSelector] - Inline citation pills or numbered markers in an answer
+     * @param {string} [options.sourceListSelector] - List of the answer's sources, usually under it
+     */
+    constructor(options = {}) {
+        this.markerSelector = options.markerSelector || null;
+        this.sourceListSelector = options.sourceListSelector || null;
+        // Numbers run across the whole conversation so Markdown footnote labels stay unique
+        this.count = 0;
+    }
+
+    /**
+     * Collect the sources of one cloned answer and turn its citation markers into footnote references
+     * @param {Element} clone - Cloned message content, modified in place
+     * @param {Element} [scope] - Live element around the answer, when its source list sits outside the clone
+     * @returns {Array<{number: number, title: string, url: string}>}
+     */
+    collect(clone, scope = null) {
+        const sources = [];
+        const byUrl = new Map();
+        const addSource = (url, title) => {
+            if (!byUrl.has(url)) {
+                const source = { number: ++this.count, title: title || this.getHostname(url), url };
+                byUrl.set(url, source);
+                sources.push(source);
+            }
+            return byUrl.get(url);
+        };
+
+        // The source list comes first so numbered markers can be matched to its entries
+        const listedLinks = [];
+        if (this.sourceListSelector) {
+            (scope || clone).querySelectorAll(this.sourceListSelector).forEach(list => {
+                listedLinks.push(...this.getSourceLinks(list));
+            });
+            // Listed again as footnotes, so the list itself would only be noise in the export
+            clone.querySelectorAll(this.sourceListSelector).forEach(list => list.remove());
+        }
+
+        if (this.markerSelector) {
+            const markers = Array.from(clone.querySelectorAll(this.markerSelector))
+                .filter((marker, _index, all) => !all.some(other => other !== marker && other.contains(marker)));
+
+            for (const marker of markers) {
+                const link = this.getMarkerLink(marker, listedLinks);
+                if (!link) continue;
+                const source = addSource(link.url, link.title);
+                marker.replaceWith(this.createReference(source));
+            }
+        }
+
+        listedLinks.forEach(link => addSource(link.url, link.title));
+        return sources;
+    }
+
+    /**
+     * The source a marker points to: its own link, or the numbered entry of the source list
+     * @returns {{url: string, title: string}|null}
+     */
+    getMarkerLink(marker, listedLinks) {
+        const anchor = marker.matches('a[href]') ? marker : marker.querySelector('a[href]');
+        if (anchor) {
+            const url = this.toSourceUrl(anchor.getAttribute('href'));
+            if (url) {
+                return { url, title: this.readTitle(anchor) };
+            }
+        }
+
+        // Numbered markers without a link ("[2]", Gemini's footnotes) index into the source list
+        const indexed = marker.querySelector('[data-turn-source-index]') || marker;
+        const number = parseInt(indexed.getAttribute('data-turn-source-index') || marker.textContent.replace(/[^\d]/g, ''), 10);
+        return listedLinks[number - 1] || null;
+    }
+
+    /**
+     * Links in a source list, once each
+     */
+    getSourceLinks(list) {
+        const links = [];
+        (list.matches('a[href]') ? [list] : list.querySelectorAll('a[href]')).forEach(anchor => {
+            const url = this.toSourceUrl(anchor.getAttribute('href'));
+            if (url && !links.some(link => link.url === url)) {
+                links.push({ url, title: this.readTitle(anchor) });
+            }
+        });
+        return links;
+    }
+
+    /**
+     * Absolute http(s) URL of a source, or null for links back into the chat
+     */
+    toSourceUrl(href) {
+        try {
+            const url = new URL(href, window.location.href);
+            if (!['http:', 'https:'].includes(url.protocol) || url.hostname === window.location.hostname) {
+                return null;
+            }
+            return url.href;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Page title of a source link: its tooltip, label or text, whichever is most descriptive
+     */
+    readTitle(anchor) {
+        const candidates = [
+            anchor.getAttribute('title'),
+            anchor.getAttribute('aria-label'),
+            anchor.textContent
+        ].map(text => (text || '').replace(/\s+/g, ' ').trim()).filter(text => text && !/^\[?\d+\]?$/.test(text));
+        return (candidates[0] || '').substring(0, 200);
+    }
+
+    getHostname(url) {
+        try {
+            return new URL(url).hostname.replace(/^www\./, '');
+        } catch {
+            return url;
+        }
+    }
+
+    /**
+     * Footnote reference that replaces an inline marker: <sup data-citation="n"><a href="url">[n]</a></sup>
+     */
+    createReference(source) {
+        const reference = document.createElement('sup');
+        reference.setAttribute('data-citation', String(source.number));
+        const link = document.createElement('a');
+        link.setAttribute('href', source.url);
+        link.textContent = `[${source.number}]`;
+        reference.appendChild(link);
+        return reference;
+    }
+}
+
+// Export for use in extractors
+if (typeof window !== 'undefined') {
+    window.CitationCollector = CitationCollector;
+}
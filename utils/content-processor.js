@@ -3,97 +3,1350 @@
 class ContentProcessor {
     constructor() {
         this.markdownConverters = {
-            'h1': (text) => `# ${text}\n\n`,
-            'h2': (text) => `## ${text}\n\n`,
-            'h3': (text) => `### ${text}\n\n`,
-            'h4': (text) => `#### ${text}\n\n`,
-            'h5': (text) => `##### ${text}\n\n`,
-            'h6': (text) => `###### ${text}\n\n`,
-            'p': (text) => `${text}\n\n`,
+            'h1': (text) => `\n\n# ${text.trim()}\n\n`,
+            'h2': (text) => `\n\n## ${text.trim()}\n\n`,
+            'h3': (text) => `\n\n### ${text.trim()}\n\n`,
+            'h4': (text) => `\n\n#### ${text.trim()}\n\n`,
+            'h5': (text) => `\n\n##### ${text.trim()}\n\n`,
+            'h6': (text) => `\n\n###### ${text.trim()}\n\n`,
+            'p': (text) => `\n\n${text.trim()}\n\n`,
+            'div': (text) => `\n${text}\n`,
             'br': () => '\n',
-            'strong': (text) => `**${text}**`,
-            'b': (text) => `**${text}**`,
-            'em': (text) => `*${text}*`,
-            'i': (text) => `*${text}*`,
-            'code': (text) => `\`${text}\``,
+            'hr': () => '\n\n---\n\n',
+            'strong': (text) => this.wrapInline(text, '**'),
+            'b': (text) => this.wrapInline(text, '**'),
+            'em': (text) => this.wrapInline(text, '*'),
+            'i': (text) => this.wrapInline(text, '*'),
+            'del': (text) => this.wrapInline(text, '~~'),
+            's': (text) => this.wrapInline(text, '~~'),
+            'code': (text, element) => this.inlineCodeToMarkdown(element.textContent || ''),
+            // Citation references from the extractors become footnotes; their definitions follow the message
+            'sup': (text, element) => (element.hasAttribute('data-citation') ? `[^${element.getAttribute('data-citation')}]` : text),
             'a': (text, element) => {
                 const href = element.getAttribute('href');
-                return href ? `[${text}](${href})` : text;
+                return href ? `[${text.trim()}](${this.escapeMarkdownUrl(href)})` : text;
             },
             'img': (text, element) => {
                 const src = element.getAttribute('src');
-                const alt = element.getAttribute('alt') || text;
-                return src ? `![${alt}](${src})` : `[Image: ${alt}]`;
+                const alt = element.hasAttribute('alt') ? this.escapeMarkdown(element.getAttribute('alt')) : text;
+                return src ? `![${alt}](${this.escapeMarkdownUrl(src)})` : `[Image: ${alt}]`;
             },
-            'blockquote': (text) => text.split('\n').map(line => `> ${line}`).join('\n') + '\n\n',
-            'ul': (text) => `${text}\n`,
-            'ol': (text) => `${text}\n`,
-            'li': (text, element, index) => {
-                const parent = element.parentElement;
-                const prefix = parent.tagName.toLowerCase() === 'ol' ? `${index + 1}. ` : '- ';
-                return `${prefix}${text}\n`;
+            'blockquote': (text) => '\n\n' + text.trim().split('\n').map(line => `> ${line}`).join('\n') + '\n\n',
+            'ul': (text) => `\n${text}\n`,
+            'ol': (text) => `\n${text}\n`,
+            'li': (text, element) => this.listItemToMarkdown(text, element)
+        };
+
+        // Elements that only carry page chrome and never belong in an export
+        this.skippedMarkdownTags = ['button', 'svg', 'noscript', 'template'];
+
+        this.fileExtensions = {
+            'text': 'txt',
+            'markdown': 'md',
+            'json': 'json',
+            'html': 'html',
+            'pdf': 'pdf',
+            // Index of a code export; the code files themselves go next to it
+            'code': 'md'
+        };
+
+        // Names that code block headers show for a language ("C++", "Shell"), mapped to the tag used in fences
+        this.codeLanguageAliases = {
+            'c++': 'cpp', 'c#': 'csharp', 'f#': 'fsharp', 'objective-c': 'objectivec', 'shell': 'bash', 'sh': 'bash',
+            'zsh': 'bash', 'console': 'bash', 'js': 'javascript', 'ts': 'typescript', 'py': 'python', 'yml': 'yaml',
+            'golang': 'go', 'plaintext': 'text', 'plain text': 'text', 'txt': 'text', 'md': 'markdown', 'rs': 'rust',
+            'rb': 'ruby', 'kt': 'kotlin', 'ps1': 'powershell', 'docker': 'dockerfile', 'make': 'makefile'
+        };
+        // Further languages a header may name that have no file extension mapping below
+        this.knownCodeLanguages = [
+            'diff', 'graphql', 'jsonc', 'objectivec', 'fsharp', 'clojure', 'erlang', 'julia', 'matlab', 'ocaml',
+            'zig', 'groovy', 'svelte', 'solidity', 'protobuf', 'nginx', 'csv', 'fortran', 'assembly', 'vb'
+        ];
+
+        // File extensions for code in a given language, used for code and artifact files
+        this.codeFileExtensions = {
+            python: 'py', py: 'py', javascript: 'js', js: 'js', typescript: 'ts', ts: 'ts', jsx: 'jsx', tsx: 'tsx',
+            react: 'jsx', html: 'html', css: 'css', scss: 'scss', json: 'json', yaml: 'yml', yml: 'yml',
+            markdown: 'md', md: 'md', svg: 'svg', xml: 'xml', bash: 'sh', shell: 'sh', sh: 'sh', zsh: 'sh',
+            powershell: 'ps1', sql: 'sql', java: 'java', kotlin: 'kt', swift: 'swift', go: 'go', rust: 'rs',
+            ruby: 'rb', php: 'php', c: 'c', cpp: 'cpp', 'c++': 'cpp', csharp: 'cs', 'c#': 'cs', mermaid: 'mmd',
+            r: 'r', lua: 'lua', dart: 'dart', scala: 'scala', toml: 'toml', ini: 'ini', dockerfile: 'dockerfile',
+            makefile: 'mk', perl: 'pl', haskell: 'hs', elixir: 'ex', latex: 'tex', tex: 'tex', vue: 'vue', text: 'txt'
+        };
+
+        // Attributes kept on elements in standalone HTML exports; everything else is page styling
+        this.htmlExportAttributes = ['href', 'src', 'alt', 'title', 'colspan', 'rowspan', 'start', 'value', 'align', 'type', 'checked', 'disabled'];
+        // Layout attributes of MathML, kept on math elements so the browser renders formulas as the page did
+        this.mathMLAttributes = [
+            'display', 'mathvariant', 'encoding', 'stretchy', 'fence', 'separator', 'accent', 'accentunder',
+            'lspace', 'rspace', 'movablelimits', 'largeop', 'symmetric', 'minsize', 'maxsize', 'linethickness',
+            'scriptlevel', 'displaystyle', 'columnalign', 'rowalign', 'columnspacing', 'rowspacing', 'width', 'height', 'depth'
+        ];
+
+        // Formulas rendered by KaTeX (ChatGPT, Claude, Gemini) or MathJax, and bare MathML
+        this.mathSelector = '.math-inline, .math-block, .math-display, .katex-display, .katex, mjx-container, .MathJax, math';
+        this.displayMathSelector = '.math-block, .math-display, .katex-display, mjx-container[display="true"], math[display="block"]';
+
+        // Keywords highlighted in HTML exports, shared across C-like and scripting languages
+        this.highlightKeywords = new Set([
+            'abstract', 'and', 'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+            'def', 'default', 'defer', 'del', 'do', 'elif', 'else', 'enum', 'except', 'export', 'extends',
+            'false', 'False', 'finally', 'fn', 'for', 'from', 'func', 'function', 'go', 'if', 'impl', 'import',
+            'in', 'interface', 'is', 'lambda', 'let', 'match', 'mod', 'mut', 'new', 'nil', 'None', 'not', 'null',
+            'or', 'package', 'pass', 'private', 'protected', 'pub', 'public', 'raise', 'return', 'select',
+            'self', 'static', 'struct', 'super', 'switch', 'this', 'throw', 'throws', 'trait', 'true', 'True',
+            'try', 'type', 'typeof', 'undefined', 'use', 'var', 'void', 'while', 'with', 'yield',
+            'SELECT', 'FROM', 'WHERE', 'JOIN', 'LEFT', 'RIGHT', 'INNER', 'ON', 'GROUP', 'BY', 'ORDER',
+            'INSERT', 'INTO', 'VALUES', 'UPDATE', 'SET', 'DELETE', 'CREATE', 'TABLE', 'AS', 'AND', 'OR', 'NOT'
+        ]);
+
+        // Allowlist sanitizer applied whenever message HTML is parsed; sanitizeConversation() switches it
+        // to the profile of the export format, since shared HTML and Markdown need stricter rules than text
+        this.sanitizer = new HtmlSanitizer();
+        this.sanitizerProfiles = { text: 'text', pdf: 'text', code: 'text', markdown: 'markdown', json: 'markdown', html: 'html' };
+
+        // Bump whenever the shape of the JSON export changes (see README)
+        this.jsonSchemaVersion = '1.0';
+    }
+
+    /**
+     * Sanitize the HTML of every exported message with the profile of the export format.
+     * Done once up front so the report counts each removal once, however often the renderers
+     * parse the same message later.
+     * @returns {Array} - Copies of the messages with sanitized content
+     */
+    sanitizeConversation(conversationData, format, options = {}) {
+        this.sanitizer = new HtmlSanitizer(this.sanitizerProfiles[format]);
+
+        const sanitize = (message) => {
+            const sanitized = { ...message, content: this.sanitizeHTML(message.content) };
+            if (options.includeThinking && message.thinking) {
+                sanitized.thinking = this.sanitizeHTML(message.thinking);
+            }
+            return sanitized;
+        };
+
+        return conversationData.map(message => {
+            const sanitized = sanitize(message);
+            if (options.includeAllVersions && Array.isArray(message.alternates)) {
+                sanitized.alternates = message.alternates.map(sanitize);
+            }
+            return sanitized;
+        });
+    }
+
+    sanitizeHTML(htmlContent) {
+        const container = this.parseToContainer(htmlContent);
+        return container ? container.innerHTML : htmlContent;
+    }
+
+    /**
+     * What the sanitizer removed as unsafe since the last sanitizeConversation()
+     * @returns {Array<{removed: string, count: number}>}
+     */
+    getSanitizationReport() {
+        return this.sanitizer.getReport();
+    }
+
+    /**
+     * The sanitization report on one line for export headers, e.g. "javascript: URL (2), <script> element (1)";
+     * empty when nothing was removed
+     */
+    getSanitizationSummary() {
+        return this.getSanitizationReport().map(({ removed, count }) => `${removed} (${count})`).join(', ');
+    }
+
+    /**
+     * Process conversation data into the requested output format
+     * @param {Array} conversationData - Array of message objects
+     * @param {string} format - Output format ('text', 'markdown', 'json', 'html', 'pdf' or 'code')
+     * @param {Object} options - Processing options
+     * @returns {string} - Formatted conversation content
+     */
+    processConversation(conversationData, format, options = {}) {
+        const {
+            includeTimestamps = false,
+            includeMetadata = true,
+            includeThinking = false,
+            includeAttachments = true,
+            includeAllVersions = false,
+            platform = 'unknown',
+            url = '',
+            title = '',
+            conversationId = null
+        } = options;
+
+        const processOptions = {
+            includeTimestamps,
+            includeMetadata,
+            includeThinking,
+            includeAttachments,
+            includeAllVersions,
+            platform,
+            url,
+            title,
+            conversationId
+        };
+
+        if (format === 'markdown') {
+            return this.toMarkdown(conversationData, processOptions);
+        }
+
+        if (format === 'json') {
+            return this.toJSON(conversationData, processOptions);
+        }
+
+        if (format === 'html') {
+            return this.toHTML(conversationData, processOptions);
+        }
+
+        if (format === 'pdf') {
+            return this.toPdfDocument(conversationData, processOptions);
+        }
+
+        if (format === 'code') {
+            return this.toCodeTree(conversationData, { ...processOptions, assetFolder: options.assetFolder }).index;
+        }
+
+        return this.toText(conversationData, processOptions);
+    }
+
+    /**
+     * Get the file extension used for an output format
+     */
+    getFileExtension(format) {
+        return this.fileExtensions[format] || 'txt';
+    }
+
+    /**
+     * Build the download filename for a conversation
+     * @param {Array} conversationData - Array of message objects
+     * @param {string} format - Output format, used for the extension
+     * @param {Object} options - filenameStyle ('url', 'title', 'platform' or 'template'), filenameTemplate,
+     *                           url, platform, title, conversationId and model
+     * @returns {string} - Filename; only the 'template' style can add subfolders
+     */
+    generateFilename(conversationData, format, options = {}) {
+        const { filenameStyle = 'url', url = '', platform = '', title = '' } = options;
+        const now = new Date();
+        // YYYY_MM_DD_HH_MM_SS in local time, like the {date} and {time} template tokens
+        const datetime = `${this.formatLocalDate(now)}_${this.formatLocalTime(now)}`.replace(/-/g, '_');
+        const date = datetime.substring(0, 10); // YYYY_MM_DD
+
+        let baseName;
+        if (filenameStyle === 'template' && options.filenameTemplate) {
+            baseName = this.applyFilenameTemplate(options.filenameTemplate, {
+                platform,
+                title: title || this.generateConversationTitle(conversationData),
+                date: this.formatLocalDate(now),
+                time: this.formatLocalTime(now),
+                conversationId: options.conversationId,
+                model: options.model
+            });
+        } else if (filenameStyle === 'title') {
+            const titleSlug = this.slugify(title || this.generateConversationTitle(conversationData));
+            baseName = `${titleSlug || 'conversation'}_${date}`;
+        } else if (filenameStyle === 'platform') {
+            baseName = `${this.slugify(platform) || 'conversation'}_${datetime}`;
+        } else {
+            // first_ten_chars_of_url_datetime_with_underscores
+            const urlStart = url.replace(/^https?:\/\//, '').substring(0, 10).replace(/[^a-z0-9]/gi, '_');
+            baseName = `${urlStart}_${datetime}`;
+        }
+
+        return `${baseName}.${this.getFileExtension(format)}`;
+    }
+
+    /**
+     * Fill a filename template such as "LLM/{platform}/{date}_{title}" and make every folder and
+     * name in it safe to use on Windows, macOS and Linux. Unknown tokens are left out.
+     * @param {string} template - Template with {platform} {title} {date} {time} {conversationId} {model}
+     * @param {Object} values - Token values; missing ones are empty
+     * @returns {string} - Relative path without an extension
+     */
+    applyFilenameTemplate(template, values) {
+        const filled = template.replace(/\{(\w+)\}/g, (_token, name) =>
+            // A value can never add a folder level of its own
+            String(values[name] || '').replace(/[\/\\]/g, '-'));
+
+        const segments = filled.split(/[\/\\]+/)
+            .map(segment => this.sanitizeFilenameSegment(segment))
+            .filter(Boolean);
+
+        if (segments.length === 0) {
+            return 'conversation';
+        }
+        return segments.join('/');
+    }
+
+    /**
+     * Make one folder or file name safe: no reserved characters, no leading or trailing dots
+     * and separators, no runs of separators left by empty tokens, no reserved device names
+     */
+    sanitizeFilenameSegment(segment) {
+        let safe = segment
+            .replace(/[<>:"|?*\u0000-\u001f\u007f]/g, '')
+            .replace(/\s+/g, ' ')
+            .replace(/([ _.-])[ _.-]+/g, '$1')
+            .replace(/^[ _.-]+|[ _.-]+$/g, '')
+            .substring(0, 100)
+            .replace(/[ _.-]+$/, '');
+
+        if (/^(con|prn|aux|nul|com\d|lpt\d)$/i.test(safe)) {
+            safe += '_';
+        }
+        return safe;
+    }
+
+    /**
+     * YYYY-MM-DD in local time, so templated names sort by the day they were exported
+     */
+    formatLocalDate(date) {
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * HH-MM-SS in local time; colons are not allowed in filenames
+     */
+    formatLocalTime(date) {
+        const pad = number => String(number).padStart(2, '0');
+        return `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+    }
+
+    /**
+     * Turn free text into a lowercase, filesystem-safe name fragment
+     */
+    slugify(text) {
+        return (text || '')
+            .replace(/\.{3}$/, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .substring(0, 60)
+            .replace(/-+$/, '');
+    }
+
+    /**
+     * Convert conversation to plain text format
+     */
+    toText(conversationData, options) {
+        let text = '';
+
+        // Add the title and URL at the top, with URL validation
+        if (options.includeMetadata) {
+            text += `title: ${options.title || this.generateConversationTitle(conversationData)}\n`;
+            if (options.url && this.isValidUrl(options.url)) {
+                text += `chat url: ${options.url}\n`;
+            }
+            if (options.conversationId) {
+                text += `conversation id: ${options.conversationId}\n`;
+            }
+            this.getConversationDetails(conversationData, options).forEach(([label, value]) => {
+                text += `${label.toLowerCase()}: ${value}\n`;
+            });
+            const removedContent = this.getSanitizationSummary();
+            if (removedContent) {
+                text += `removed: ${removedContent}\n`;
+            }
+            text += '\n';
+        }
+
+        // Process each message with two newlines between articles
+        conversationData.forEach((message, index) => {
+            text += this.messageToText(message, options);
+
+            // Add two newlines between articles (except after the last one)
+            if (index < conversationData.length - 1) {
+                text += '\n\n';
+            }
+        });
+
+        return text.trim();
+    }
+
+    /**
+     * Convert a single message to plain text
+     */
+    messageToText(message, options) {
+        let text = '';
+
+        // Add role header
+        const roleDisplay = this.getRoleDisplay(message.role);
+        const details = this.getMessageDetails(message, options);
+        text += details ? `${roleDisplay} (${details}):\n` : `${roleDisplay}:\n`;
+
+        const alternates = this.getMessageAlternates(message, options);
+        if (alternates.length > 0) {
+            text += `[${this.getVersionLabel(message.version, message.versionCount)}]\n`;
+        }
+
+        // Convert content to plain text
+        const content = this.messageContentToText(message, options);
+
+        const thinking = this.getMessageThinking(message, options);
+        if (thinking) {
+            text += `\n[Thinking]\n${this.htmlToText(thinking).trim()}\n[End of thinking]\n\n${content.trimStart()}`;
+        } else {
+            text += content;
+        }
+
+        alternates.forEach(alternate => {
+            const alternateContent = this.messageContentToText(alternate, options).trim();
+            text = `${text.trimEnd()}\n\n[${this.getAlternateLabel(alternate, message, options)}]\n${alternateContent}`;
+        });
+
+        return text;
+    }
+
+    /**
+     * Convert conversation to Markdown format
+     */
+    toMarkdown(conversationData, options) {
+        let markdown = '';
+
+        if (options.includeMetadata) {
+            markdown += this.generateMarkdownHeader(conversationData, options);
+        }
+
+        const renderedMessages = conversationData.map(message => this.messageToMarkdown(message, options));
+        markdown += renderedMessages.join('\n\n---\n\n');
+
+        return markdown.trim() + '\n';
+    }
+
+    /**
+     * Convert a single message to Markdown
+     */
+    messageToMarkdown(message, options) {
+        const roleDisplay = this.getRoleDisplay(message.role);
+        const details = this.getMessageDetails(message, options);
+        let content = this.messageContentToMarkdown(message, options);
+
+        let heading = details ? `## ${roleDisplay}\n\n*${this.escapeMarkdown(details)}*` : `## ${roleDisplay}`;
+
+        const thinking = this.getMessageThinking(message, options);
+        if (thinking) {
+            // Reasoning goes in a quoted section so it cannot be mistaken for the answer
+            const quoted = this.htmlToMarkdown(thinking).split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+            content = `> **Thinking**\n>\n${quoted}\n\n${content}`;
+        }
+
+        // Other versions of a regenerated or edited turn follow the version shown on the page
+        const alternates = this.getMessageAlternates(message, options);
+        if (alternates.length > 0) {
+            heading += `\n\n*${this.getVersionLabel(message.version, message.versionCount)} (shown)*`;
+            alternates.forEach(alternate => {
+                content += `\n\n#### ${this.escapeMarkdown(this.getAlternateLabel(alternate, message, options))}\n\n` +
+                    this.messageContentToMarkdown(alternate, options);
+            });
+        }
+
+        return `${heading}\n\n${content}`;
+    }
+
+    /**
+     * Markdown body of a message or of one of its alternate versions
+     */
+    messageContentToMarkdown(message, options) {
+        return this.htmlToMarkdown(this.prepareMessageContent(message.content, options)) + this.sourcesToMarkdown(message);
+    }
+
+    /**
+     * Get the web sources an answer cited, numbered across the conversation by the extractor
+     * @returns {Array<{number: number, title: string, url: string}>}
+     */
+    getMessageSources(message) {
+        return Array.isArray(message.sources)
+            ? message.sources.filter(source => source && /^https?:\/\//i.test(source.url || ''))
+            : [];
+    }
+
+    /**
+     * Plain-text body of a message or of one of its alternate versions, followed by the sources it cited
+     */
+    messageContentToText(message, options) {
+        const text = this.htmlToText(this.prepareMessageContent(message.content, options));
+        const sources = this.getMessageSources(message);
+        if (sources.length === 0) return text;
+
+        const references = sources.map(source => `[${source.number}] ${source.title}: ${source.url}`);
+        return `${text.trimEnd()}\n\nSources:\n${references.join('\n')}\n`;
+    }
+
+    /**
+     * Markdown footnote definitions for the [^n] references in a message
+     */
+    sourcesToMarkdown(message) {
+        const sources = this.getMessageSources(message);
+        if (sources.length === 0) return '';
+        return '\n\n' + sources.map(source => {
+            return `[^${source.number}]: [${this.escapeMarkdown(source.title)}](${this.escapeMarkdownUrl(source.url)})`;
+        }).join('\n');
+    }
+
+    /**
+     * References section of an HTML message, as a list of links under the answer
+     */
+    sourcesToHTML(message) {
+        const sources = this.getMessageSources(message);
+        if (sources.length === 0) return '';
+        const items = sources.map(source =>
+            `<li><span class="source-number">[${source.number}]</span> <a href="${this.escapeHtml(source.url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(source.title)}</a></li>`
+        );
+        return `\n<div class="sources">\n<p class="sources-label">Sources</p>\n<ul>\n${items.join('\n')}\n</ul>\n</div>`;
+    }
+
+    /**
+     * Get the other versions of a regenerated or edited message, if they were requested and the extractor found any
+     */
+    getMessageAlternates(message, options) {
+        if (!options.includeAllVersions || !Array.isArray(message.alternates)) return [];
+        return message.alternates;
+    }
+
+    getVersionLabel(version, versionCount) {
+        return `Version ${version} of ${versionCount}`;
+    }
+
+    /**
+     * Heading of an alternate version, with its own model and time, e.g. "Version 1 of 3 (gpt-4o)"
+     */
+    getAlternateLabel(alternate, message, options) {
+        const label = this.getVersionLabel(alternate.version, message.versionCount);
+        const details = this.getMessageDetails(alternate, options);
+        return details ? `${label} (${details})` : label;
+    }
+
+    /**
+     * Get the reasoning trace HTML of a message, if thinking sections were requested and the extractor found one
+     */
+    getMessageThinking(message, options) {
+        if (!options.includeThinking || !message.thinking) return '';
+        return message.thinking;
+    }
+
+    /**
+     * Model that wrote a message, shown with the conversation metadata
+     */
+    getMessageModel(message, options) {
+        return options.includeMetadata && message.model ? String(message.model) : '';
+    }
+
+    /**
+     * Model and time of a message for its heading, e.g. "gpt-4o · 1/2/2025, 10:00:00 AM"
+     */
+    getMessageDetails(message, options) {
+        return [this.getMessageModel(message, options), this.getMessageTimestamp(message, options)]
+            .filter(Boolean)
+            .join(' · ');
+    }
+
+    /**
+     * Header rows about who answered and when: the models used, in order of first use,
+     * and the time of the first and last message when timestamps were requested
+     * @returns {Array<[string, string]>} - [label, value] pairs
+     */
+    getConversationDetails(conversationData, options) {
+        const rows = [];
+
+        const models = [...new Set(conversationData.map(message => message.model).filter(Boolean))];
+        if (models.length > 0) {
+            rows.push([models.length > 1 ? 'Models' : 'Model', models.join(', ')]);
+        }
+
+        if (options.includeTimestamps) {
+            const times = conversationData.map(message => this.getMessageTimestamp(message, options)).filter(Boolean);
+            if (times.length > 0) {
+                rows.push(['First message', times[0]]);
+                rows.push(['Last message', times[times.length - 1]]);
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Get the display timestamp of a message, if timestamps were requested and the extractor found one
+     */
+    getMessageTimestamp(message, options) {
+        if (!options.includeTimestamps || !message.timestamp) return '';
+
+        const date = new Date(message.timestamp);
+        return isNaN(date.getTime()) ? String(message.timestamp) : date.toLocaleString();
+    }
+
+    /**
+     * Apply content-level export options to message HTML before it is rendered
+     */
+    prepareMessageContent(htmlContent, options) {
+        if (options.includeAttachments !== false || !htmlContent || typeof document === 'undefined') {
+            return htmlContent;
+        }
+
+        const container = this.parseToContainer(htmlContent);
+        container.querySelectorAll('img, [data-testid="file-thumbnail"]').forEach(element => element.remove());
+        return container.innerHTML;
+    }
+
+    /**
+     * Convert conversation to the versioned JSON export format
+     */
+    toJSON(conversationData, options) {
+        const exportData = {
+            schemaVersion: this.jsonSchemaVersion,
+            platform: options.platform,
+            url: options.url && this.isValidUrl(options.url) ? options.url : null,
+            title: options.title || this.generateConversationTitle(conversationData),
+            conversationId: options.conversationId || null,
+            models: [...new Set(conversationData.map(message => message.model).filter(Boolean))],
+            exportedAt: new Date().toISOString(),
+            extractorVersion: this.getExtractorVersion(),
+            removedUnsafeContent: this.getSanitizationReport(),
+            messageCount: conversationData.length,
+            messages: conversationData.map((message, index) => ({
+                id: this.getMessageId(index),
+                parentId: index > 0 ? this.getMessageId(index - 1) : null,
+                ...this.messageToJSON(message, index, options),
+                version: message.version || 1,
+                versionCount: message.versionCount || 1,
+                alternates: this.getMessageAlternates(message, options).map(alternate => {
+                    const { timestamp, model, text, markdown, html, sources, thinking, attachments, codeBlocks } =
+                        this.messageToJSON({ role: message.role, ...alternate }, index, options);
+                    return {
+                        id: this.getMessageId(index, alternate.version),
+                        parentId: index > 0 ? this.getMessageId(index - 1) : null,
+                        version: alternate.version,
+                        timestamp, model, text, markdown, html, sources, thinking, attachments, codeBlocks
+                    };
+                })
+            }))
+        };
+
+        return JSON.stringify(exportData, null, 2);
+    }
+
+    /**
+     * Stable message id for the JSON tree; alternate versions of a turn share its parent
+     */
+    getMessageId(index, version = null) {
+        return version ? `m${index}v${version}` : `m${index}`;
+    }
+
+    /**
+     * Convert a single message to its JSON representation
+     */
+    messageToJSON(message, index, options) {
+        const content = this.prepareMessageContent(message.content, options);
+        const container = this.parseToContainer(content);
+
+        return {
+            index,
+            role: message.role,
+            timestamp: message.timestamp || null,
+            model: message.model || null,
+            text: this.htmlToText(content).trim(),
+            markdown: this.htmlToMarkdown(content) + this.sourcesToMarkdown(message),
+            html: container ? container.innerHTML.trim() : this.stripHtmlTags(content),
+            sources: this.getMessageSources(message).map(({ number, title, url }) => ({ number, title, url })),
+            thinking: this.thinkingToJSON(message, options),
+            attachments: container && options.includeAttachments !== false ? this.collectAttachments(container) : [],
+            codeBlocks: container ? this.collectCodeBlocks(container) : []
+        };
+    }
+
+    /**
+     * JSON representation of a message's reasoning trace, or null
+     */
+    thinkingToJSON(message, options) {
+        const thinking = this.getMessageThinking(message, options);
+        if (!thinking) return null;
+
+        const container = this.parseToContainer(thinking);
+        return {
+            text: this.htmlToText(thinking).trim(),
+            markdown: this.htmlToMarkdown(thinking),
+            html: container ? container.innerHTML.trim() : this.stripHtmlTags(thinking)
+        };
+    }
+
+    /**
+     * Parse HTML into a detached, sanitized container element (null outside a DOM context)
+     */
+    parseToContainer(htmlContent) {
+        if (typeof document === 'undefined') return null;
+
+        const container = document.createElement('div');
+        this.safeSetHTML(container, htmlContent || '');
+        return container;
+    }
+
+    /**
+     * Collect images and file attachments referenced in a message
+     */
+    collectAttachments(container) {
+        const attachments = [];
+
+        container.querySelectorAll('img').forEach(img => {
+            const src = img.getAttribute('src');
+            if (!src) return;
+            attachments.push({
+                type: 'image',
+                url: img.getAttribute('data-source-url') || src,
+                path: this.getSavedAttachmentPath(img, src),
+                name: img.getAttribute('alt') || null
+            });
+        });
+
+        container.querySelectorAll('[data-testid="file-thumbnail"]').forEach(file => {
+            const link = file.matches('a[href]') ? file : file.querySelector('a[href]');
+            const href = link ? link.getAttribute('href') : null;
+            attachments.push({
+                type: 'file',
+                url: link ? link.getAttribute('data-source-url') || href : null,
+                path: link ? this.getSavedAttachmentPath(link, href) : null,
+                name: (file.textContent || '').replace(/\s+/g, ' ').trim() || null
+            });
+        });
+
+        return attachments;
+    }
+
+    /**
+     * Path of an attachment saved next to the export by the AttachmentCollector, or null
+     * if it was embedded or could not be downloaded
+     */
+    getSavedAttachmentPath(element, reference) {
+        if (!element.hasAttribute('data-source-url') || !reference || reference.startsWith('data:')) {
+            return null;
+        }
+        return reference;
+    }
+
+    /**
+     * Collect code blocks with their detected language
+     */
+    collectCodeBlocks(container) {
+        return Array.from(container.querySelectorAll('pre')).map(pre => {
+            const codeElement = pre.querySelector('code');
+            const code = (codeElement ? codeElement.textContent : pre.textContent).replace(/\n$/, '');
+            const language = this.getCodeBlockLanguage(pre);
+            return { language: language || null, code };
+        });
+    }
+
+    /**
+     * Write every code block of the conversation out as a source file, with a Markdown index that
+     * links each file to the messages it came from. Files are named from a filename comment in the
+     * code or a filename in the heading or sentence above it. A block reusing an earlier name, or
+     * mostly matching an earlier unnamed block, is a later version and replaces it.
+     * @param {Array} conversationData - Array of message objects
+     * @param {Object} options - Processing options; assetFolder places the files in a subfolder
+     * @returns {{index: string, files: Array<{path: string, content: string}>}}
+     */
+    toCodeTree(conversationData, options) {
+        const folder = [options.assetFolder, 'code'].filter(Boolean).join('/');
+        const entries = [];
+
+        conversationData.forEach((message, messageIndex) => {
+            const container = this.parseToContainer(this.prepareMessageContent(message.content, options));
+            if (!container) return;
+
+            container.querySelectorAll('pre').forEach(pre => {
+                const codeElement = pre.querySelector('code');
+                const code = (codeElement ? codeElement.textContent : pre.textContent).replace(/\n$/, '');
+                if (!code.trim()) return;
+
+                const language = this.getCodeBlockLanguage(pre);
+                const block = { code, language: language || null, messageIndex, role: message.role };
+                const filename = this.findCodeFilename(pre, code);
+                const sameFile = filename
+                    ? entries.find(entry => entry.name === filename)
+                    : entries.find(entry => this.isLaterCodeVersion(entry, block));
+
+                if (sameFile) {
+                    // Identical repeats only add a mention; anything else becomes the latest version
+                    if (sameFile.code.trim() !== code.trim()) {
+                        sameFile.versions++;
+                        sameFile.code = code;
+                        sameFile.language = block.language || sameFile.language;
+                    }
+                    if (!sameFile.messages.includes(messageIndex)) {
+                        sameFile.messages.push(messageIndex);
+                    }
+                    return;
+                }
+
+                const duplicate = entries.find(entry => entry.code.trim() === code.trim());
+                if (duplicate) {
+                    duplicate.name = duplicate.name || filename;
+                    if (!duplicate.messages.includes(messageIndex)) duplicate.messages.push(messageIndex);
+                    return;
+                }
+
+                entries.push({ ...block, name: filename, messages: [messageIndex], versions: 1 });
+            });
+        });
+
+        // Name unnamed blocks after the message they first appeared in
+        const usedPaths = new Set(entries.filter(entry => entry.name).map(entry => entry.name));
+        const counters = {};
+        entries.filter(entry => !entry.name).forEach(entry => {
+            const extension = this.getCodeFileExtension(entry.language);
+            const prefix = `snippet-${String(entry.messageIndex + 1).padStart(3, '0')}`;
+            counters[prefix] = (counters[prefix] || 0) + 1;
+            let name = `${prefix}-${counters[prefix]}.${extension}`;
+            while (usedPaths.has(name)) {
+                counters[prefix]++;
+                name = `${prefix}-${counters[prefix]}.${extension}`;
+            }
+            usedPaths.add(name);
+            entry.name = name;
+        });
+
+        const files = entries.map(entry => ({ path: `${folder}/${entry.name}`, content: entry.code.endsWith('\n') ? entry.code : `${entry.code}\n` }));
+        return {
+            index: this.generateCodeIndex(conversationData, entries, folder, options),
+            files
+        };
+    }
+
+    /**
+     * Markdown index of a code export: one row per file with the messages it came from
+     */
+    generateCodeIndex(conversationData, entries, folder, options) {
+        const title = options.title || this.generateConversationTitle(conversationData);
+        let index = `# Code from ${this.escapeMarkdown(title)}\n\n`;
+
+        if (options.includeMetadata) {
+            index += `**Platform:** ${options.platform}\n`;
+            if (options.url && this.isValidUrl(options.url)) {
+                index += `**URL:** ${options.url}\n`;
+            }
+            index += `**Export Date:** ${new Date().toISOString()}\n\n`;
+        }
+
+        if (entries.length === 0) {
+            return index + 'No code blocks were found in this conversation.\n';
+        }
+
+        index += '| File | Language | Messages | Versions |\n| --- | --- | --- | --- |\n';
+        entries.forEach(entry => {
+            const messages = entry.messages
+                .map(messageIndex => `#${messageIndex + 1} (${this.getRoleDisplay(conversationData[messageIndex].role)})`)
+                .join(', ');
+            index += `| [${this.escapeMarkdown(entry.name)}](${this.escapeMarkdownUrl(encodeURI(`${folder}/${entry.name}`))}) | ${entry.language || ''} | ${messages} | ${entry.versions} |\n`;
+        });
+
+        return index;
+    }
+
+    /**
+     * Find a filename for a code block: a comment on its first lines ("# app.py", "// File: src/index.js"),
+     * otherwise the heading or the inline code/bold name in the element just above it
+     * @returns {string|null} - A relative path with only safe segments
+     */
+    findCodeFilename(pre, code) {
+        const filenamePattern = /^(?:[\w-]+\/)*[\w-]+(?:\.[\w-]+)*\.[a-z0-9]{1,10}$/i;
+        const commentPattern = /^\s*(?:\/\/|#|--|;|%|\/\*|<!--)\s*(?:file(?:name)?:\s*)?(\S+?)\s*(?:\*\/|-->)?\s*$/i;
+
+        const candidates = [];
+        code.split('\n').slice(0, 2).forEach(line => {
+            const match = line.match(commentPattern);
+            if (match) candidates.push(match[1]);
+        });
+
+        let previous = pre.previousElementSibling;
+        for (let element = pre; !previous && element.parentElement; element = element.parentElement) {
+            previous = element.parentElement.previousElementSibling;
+        }
+        if (previous) {
+            if (/^H[1-6]$/.test(previous.tagName)) {
+                candidates.push(previous.textContent.trim());
+            }
+            previous.querySelectorAll('code, strong, b').forEach(element => candidates.push(element.textContent.trim()));
+        }
+
+        const filename = candidates.find(candidate => filenamePattern.test(candidate));
+        if (!filename) return null;
+
+        // Never let a name climb out of the code folder
+        const segments = filename.split('/').filter(segment => segment && segment !== '.' && segment !== '..');
+        return segments.length > 0 ? segments.join('/') : null;
+    }
+
+    /**
+     * An unnamed block is a later version of an earlier unnamed block in the same language
+     * when most of its lines are shared
+     */
+    isLaterCodeVersion(entry, block) {
+        if (entry.name || entry.messageIndex === block.messageIndex) return false;
+        if ((entry.language || '') !== (block.language || '')) return false;
+
+        const lines = code => new Set(code.split('\n').map(line => line.trim()).filter(Boolean));
+        const before = lines(entry.code);
+        const after = lines(block.code);
+        const shared = Array.from(after).filter(line => before.has(line)).length;
+        return shared / Math.max(before.size, after.size, 1) >= 0.5;
+    }
+
+    /**
+     * File extension for code in a language, 'txt' when unknown
+     */
+    getCodeFileExtension(language) {
+        return this.codeFileExtensions[(language || '').toLowerCase()] || 'txt';
+    }
+
+    /**
+     * Get the extension version for export metadata
+     */
+    getExtractorVersion() {
+        try {
+            if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getManifest) {
+                return chrome.runtime.getManifest().version;
+            }
+        } catch (error) {
+            console.warn('Could not read extension version:', error);
+        }
+        return null;
+    }
+
+    /**
+     * Convert conversation to a standalone HTML document with inline styles
+     */
+    toHTML(conversationData, options) {
+        const title = options.title || this.generateConversationTitle(conversationData);
+        let header = '';
+
+        if (options.includeMetadata) {
+            const rows = [
+                ['Platform', this.escapeHtml(options.platform)],
+                ['Exported', this.escapeHtml(new Date().toISOString())],
+                ['Messages', String(conversationData.length)],
+                ...this.getConversationDetails(conversationData, options).map(([label, value]) => [label, this.escapeHtml(value)])
+            ];
+            if (options.conversationId) {
+                rows.splice(1, 0, ['Conversation ID', this.escapeHtml(options.conversationId)]);
+            }
+            if (options.url && this.isValidUrl(options.url)) {
+                const url = this.escapeHtml(options.url);
+                rows.splice(1, 0, ['URL', `<a href="${url}">${url}</a>`]);
+            }
+            const removedContent = this.getSanitizationSummary();
+            if (removedContent) {
+                rows.push(['Removed', this.escapeHtml(removedContent)]);
+            }
+
+            header = '<header class="conversation-header">\n' +
+                `<h1>${this.escapeHtml(title)}</h1>\n<dl>\n` +
+                rows.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('\n') +
+                '\n</dl>\n</header>\n';
+        }
+
+        const messages = conversationData.map(message => this.messageToHTML(message, options)).join('\n');
+
+        return '<!DOCTYPE html>\n' +
+            '<html lang="en">\n<head>\n' +
+            '<meta charset="utf-8">\n' +
+            '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+            `<title>${this.escapeHtml(title)}</title>\n` +
+            `<style>\n${this.getHtmlExportStyles()}\n</style>\n` +
+            '</head>\n<body>\n<main class="conversation">\n' +
+            header +
+            messages +
+            '\n</main>\n</body>\n</html>\n';
+    }
+
+    /**
+     * Convert a single message to an HTML section
+     */
+    messageToHTML(message, options) {
+        const roleDisplay = this.escapeHtml(this.getRoleDisplay(message.role));
+        const roleClass = message.role === 'user' ? 'message-user' : 'message-assistant';
+        const timestamp = this.getMessageTimestamp(message, options);
+        const timeLabel = timestamp ? ` <span class="message-time">${this.escapeHtml(timestamp)}</span>` : '';
+        const model = this.getMessageModel(message, options);
+        const modelLabel = model ? ` <span class="message-model">${this.escapeHtml(model)}</span>` : '';
+        const alternates = this.getMessageAlternates(message, options);
+        const versionLabel = alternates.length > 0
+            ? ` <span class="message-version">${this.getVersionLabel(message.version, message.versionCount)}</span>`
+            : '';
+
+        let body = this.messageContentToHTML(message, options);
+
+        const thinking = this.getMessageThinking(message, options);
+        if (thinking) {
+            const thinkingContainer = this.parseToContainer(thinking);
+            const thinkingBody = thinkingContainer
+                ? this.cleanHtmlForExport(thinkingContainer).innerHTML.trim()
+                : this.escapeHtml(this.stripHtmlTags(thinking));
+            body = `<details class="thinking">\n<summary>Thinking</summary>\n<div class="thinking-body">\n${thinkingBody}\n</div>\n</details>\n${body}`;
+        }
+
+        alternates.forEach(alternate => {
+            body += `\n<details class="version">\n<summary>${this.escapeHtml(this.getAlternateLabel(alternate, message, options))}</summary>\n` +
+                `<div class="version-body">\n${this.messageContentToHTML(alternate, options)}\n</div>\n</details>`;
+        });
+
+        return `<section class="message ${roleClass}">\n` +
+            `<div class="message-role">${roleDisplay}${modelLabel}${timeLabel}${versionLabel}</div>\n` +
+            `<div class="message-body">\n${body}\n</div>\n` +
+            '</section>';
+    }
+
+    /**
+     * HTML body of a message or of one of its alternate versions
+     */
+    messageContentToHTML(message, options) {
+        const container = this.parseToContainer(this.prepareMessageContent(message.content, options));
+        const body = container ? this.cleanHtmlForExport(container).innerHTML.trim() : this.escapeHtml(this.stripHtmlTags(message.content));
+        return body + this.sourcesToHTML(message);
+    }
+
+    /**
+     * Strip page chrome and styling from sanitized message HTML and highlight code blocks
+     */
+    cleanHtmlForExport(container) {
+        container.querySelectorAll(this.skippedMarkdownTags.join(', ')).forEach(element => element.remove());
+
+        container.querySelectorAll('pre').forEach(pre => {
+            const codeElement = pre.querySelector('code');
+            const code = (codeElement ? codeElement.textContent : pre.textContent).replace(/\n$/, '');
+            const language = this.getCodeBlockLanguage(pre);
+
+            const replacement = document.createElement('pre');
+            replacement.className = 'code-block';
+            if (language) {
+                const label = document.createElement('div');
+                label.className = 'code-language';
+                label.textContent = language;
+                replacement.appendChild(label);
+            }
+            const codeOutput = document.createElement('code');
+            const parser = new DOMParser();
+            const highlighted = parser.parseFromString(`<body>${this.highlightCode(code, language)}</body>`, 'text/html');
+            while (highlighted.body.firstChild) {
+                codeOutput.appendChild(highlighted.body.firstChild);
+            }
+            replacement.appendChild(codeOutput);
+            pre.replaceWith(replacement);
+        });
+
+        // Formulas are shown with their MathML, which browsers render natively; the TeX stays in its annotation
+        container.querySelectorAll('[data-math-mode]').forEach(marker => {
+            const mathml = marker.querySelector('math');
+            if (mathml) {
+                mathml.setAttribute('display', marker.getAttribute('data-math-mode') === 'display' ? 'block' : 'inline');
+                marker.replaceWith(mathml);
+            } else {
+                const code = document.createElement('code');
+                code.textContent = this.mathToTeX(marker);
+                marker.replaceWith(code);
+            }
+        });
+
+        // Cell alignment survives as an align attribute once styles are dropped
+        container.querySelectorAll('td, th').forEach(cell => {
+            const alignment = this.getCellAlignment(cell);
+            if (alignment) {
+                cell.setAttribute('align', alignment);
+            }
+        });
+
+        container.querySelectorAll('*').forEach(element => {
+            // Keep our own highlighting classes, drop the page's
+            const keepClass = element.closest('pre.code-block') !== null;
+            const isMathML = element.closest('math') !== null;
+            for (let i = element.attributes.length - 1; i >= 0; i--) {
+                const name = element.attributes[i].name.toLowerCase();
+                if (name === 'class' && keepClass) continue;
+                if (isMathML && this.mathMLAttributes.includes(name)) continue;
+                if (!this.htmlExportAttributes.includes(name)) {
+                    element.removeAttribute(element.attributes[i].name);
+                }
             }
-        };
+
+            if (element.tagName.toLowerCase() === 'a' && element.getAttribute('href')) {
+                element.setAttribute('target', '_blank');
+                element.setAttribute('rel', 'noopener noreferrer');
+            }
+        });
+
+        return container;
     }
 
     /**
-     * Process conversation data into text format
-     * @param {Array} conversationData - Array of message objects
-     * @param {string} format - Output format (always 'text')
-     * @param {Object} options - Processing options
-     * @returns {string} - Formatted conversation content
+     * Produce syntax-highlighted, HTML-escaped markup for a code block
+     * A small language-agnostic tokenizer: comments, strings, numbers and common keywords.
      */
-    processConversation(conversationData, format, options = {}) {
-        const {
-            includeTimestamps = false,
-            includeMetadata = true,
-            platform = 'unknown',
-            url = ''
-        } = options;
+    highlightCode(code, language = '') {
+        const hashComments = /^(python|py|ruby|rb|bash|sh|shell|zsh|yaml|yml|toml|r|perl|powershell|ps1|dockerfile|makefile)$/i.test(language);
+        const dashComments = /^(sql|lua|haskell|hs)$/i.test(language);
+        const comment = hashComments ? '#[^\n]*' : (dashComments ? '--[^\n]*' : '\\/\\/[^\n]*|\\/\\*[\\s\\S]*?\\*\\/');
+        const tokenPattern = new RegExp(
+            `(${comment})|("(?:\\\\.|[^"\\\\\n])*"|'(?:\\\\.|[^'\\\\\n])*'|\`(?:\\\\.|[^\`\\\\])*\`)|(\\b\\d+(?:\\.\\d+)?\\b)|([A-Za-z_$][\\w$]*)`,
+            'g'
+        );
+
+        let result = '';
+        let lastIndex = 0;
+        let match;
+
+        while ((match = tokenPattern.exec(code)) !== null) {
+            result += this.escapeHtml(code.slice(lastIndex, match.index));
+            const [token, commentToken, stringToken, numberToken, word] = match;
+
+            if (commentToken) {
+                result += `<span class="tok-comment">${this.escapeHtml(token)}</span>`;
+            } else if (stringToken) {
+                result += `<span class="tok-string">${this.escapeHtml(token)}</span>`;
+            } else if (numberToken) {
+                result += `<span class="tok-number">${this.escapeHtml(token)}</span>`;
+            } else if (word && this.highlightKeywords.has(word)) {
+                result += `<span class="tok-keyword">${this.escapeHtml(token)}</span>`;
+            } else {
+                result += this.escapeHtml(token);
+            }
+            lastIndex = match.index + token.length;
+        }
 
-        // Always return text format
-        return this.toText(conversationData, { includeTimestamps, includeMetadata, platform, url });
+        return result + this.escapeHtml(code.slice(lastIndex));
     }
 
     /**
-     * Convert conversation to plain text format
+     * Stylesheet inlined into standalone HTML exports
      */
-    toText(conversationData, options) {
-        let text = '';
-
-        // Add URL at the top with validation
-        if (options.url && this.isValidUrl(options.url)) {
-            text += `chat url: ${options.url}\n\n`;
-        }
+    getHtmlExportStyles() {
+        return `
+body { margin: 0; background: #f5f5f4; color: #1f2937; font: 15px/1.6 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Ubuntu, sans-serif; }
+.conversation { max-width: 860px; margin: 0 auto; padding: 32px 16px 64px; }
+.conversation-header { margin-bottom: 32px; padding-bottom: 16px; border-bottom: 1px solid #e5e5e5; }
+.conversation-header h1 { margin: 0 0 12px; font-size: 24px; }
+.conversation-header dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 0; font-size: 13px; color: #6b7280; }
+.conversation-header dt { font-weight: 600; }
+.conversation-header dd { margin: 0; word-break: break-all; }
+.message { display: flex; flex-direction: column; margin: 0 0 24px; }
+.message-role { font-size: 12px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.04em; color: #6b7280; margin-bottom: 6px; }
+.message-model, .message-time, .message-version { font-weight: 400; text-transform: none; letter-spacing: 0; margin-left: 6px; }
+.message-body { padding: 12px 16px; border-radius: 14px; background: #ffffff; box-shadow: 0 1px 2px rgba(0, 0, 0, 0.06); overflow-x: auto; }
+.message-user { align-items: flex-end; }
+.message-user .message-body { max-width: 80%; background: #C64E21; color: #ffffff; }
+.message-user .message-body a { color: #ffffff; }
+.message-assistant .message-body { border: 1px solid #e5e5e5; }
+.message-body > :first-child { margin-top: 0; }
+.message-body > :last-child { margin-bottom: 0; }
+.thinking { margin: 0 0 12px; padding: 8px 12px; border-radius: 8px; background: #f9fafb; border: 1px dashed #d1d5db; color: #4b5563; font-size: 14px; }
+.thinking summary { cursor: pointer; font-weight: 600; font-size: 12px; text-transform: uppercase; letter-spacing: 0.04em; color: #6b7280; }
+.thinking-body { margin-top: 8px; }
+.version { margin: 16px 0 0; padding-top: 12px; border-top: 1px dashed #d1d5db; }
+.version summary { cursor: pointer; font-weight: 600; font-size: 12px; text-transform: uppercase; letter-spacing: 0.04em; color: #6b7280; }
+.version-body { margin-top: 8px; }
+.sources { margin: 16px 0 0; padding-top: 8px; border-top: 1px solid #e5e7eb; font-size: 13px; }
+.sources-label { margin: 0 0 4px; font-weight: 600; font-size: 12px; text-transform: uppercase; letter-spacing: 0.04em; color: #6b7280; }
+.sources ul { list-style: none; margin: 0; padding: 0; }
+.source-number, sup a { color: #6b7280; text-decoration: none; }
+a { color: #C64E21; }
+img { max-width: 100%; height: auto; }
+blockquote { margin: 12px 0; padding: 0 12px; border-left: 3px solid #d1d5db; color: #4b5563; }
+table { border-collapse: collapse; margin: 12px 0; font-size: 14px; }
+th, td { border: 1px solid #d1d5db; padding: 6px 10px; text-align: left; vertical-align: top; }
+th[align="center"], td[align="center"] { text-align: center; }
+th[align="right"], td[align="right"] { text-align: right; }
+th { background: #f3f4f6; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 13px; background: rgba(0, 0, 0, 0.06); padding: 1px 4px; border-radius: 4px; }
+pre.code-block { margin: 12px 0; padding: 12px 14px; background: #1f2937; color: #e5e7eb; border-radius: 8px; overflow-x: auto; }
+pre.code-block code { background: none; padding: 0; color: inherit; white-space: pre; }
+.code-language { font: 600 11px/1 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; text-transform: uppercase; color: #9ca3af; margin-bottom: 8px; }
+.tok-comment { color: #9ca3af; font-style: italic; }
+.tok-string { color: #86efac; }
+.tok-number { color: #fdba74; }
+.tok-keyword { color: #93c5fd; font-weight: 600; }`.trim();
+    }
 
-        // Process each message with two newlines between articles
-        conversationData.forEach((message, index) => {
-            text += this.messageToText(message, options);
+    /**
+     * Escape text for safe inclusion in generated HTML
+     */
+    escapeHtml(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
 
-            // Add two newlines between articles (except after the last one)
-            if (index < conversationData.length - 1) {
-                text += '\n\n';
+    /**
+     * Convert conversation to the document model that the offscreen PdfWriter lays out.
+     * Returned as a JSON string so it can travel through extension messaging like other formats.
+     */
+    toPdfDocument(conversationData, options) {
+        const metadata = [];
+        if (options.includeMetadata) {
+            metadata.push(['Platform', options.platform]);
+            if (options.url && this.isValidUrl(options.url)) {
+                metadata.push(['URL', options.url]);
             }
-        });
+            if (options.conversationId) {
+                metadata.push(['Conversation ID', options.conversationId]);
+            }
+            metadata.push(['Exported', new Date().toISOString()]);
+        }
+        metadata.push(['Messages', String(conversationData.length)]);
+        if (options.includeMetadata) {
+            metadata.push(...this.getConversationDetails(conversationData, options));
+            const removedContent = this.getSanitizationSummary();
+            if (removedContent) {
+                metadata.push(['Removed', removedContent]);
+            }
+        }
 
-        return text.trim();
+        const doc = {
+            title: options.title || this.generateConversationTitle(conversationData),
+            metadata,
+            messages: conversationData.map(message => ({
+                role: this.getRoleDisplay(message.role),
+                timestamp: this.getMessageTimestamp(message, options) || null,
+                model: this.getMessageModel(message, options) || null,
+                blocks: [
+                    ...this.thinkingToBlocks(message, options),
+                    ...this.messageContentToBlocks(message, options),
+                    ...this.getMessageAlternates(message, options).flatMap(alternate => [
+                        { type: 'rule' },
+                        { type: 'heading', level: 6, text: this.getAlternateLabel(alternate, message, options) },
+                        ...this.messageContentToBlocks(alternate, options)
+                    ])
+                ]
+            }))
+        };
+
+        return JSON.stringify(doc);
     }
 
     /**
-     * Convert a single message to plain text
+     * Flatten message HTML into layout blocks: paragraphs, headings, code, list items, quotes and rules
      */
-    messageToText(message, options) {
-        let text = '';
+    htmlToBlocks(htmlContent) {
+        const container = this.parseToContainer(htmlContent);
+        if (!container) {
+            return [{ type: 'paragraph', text: this.stripHtmlTags(htmlContent) }];
+        }
 
-        // Add role header
-        const roleDisplay = this.getRoleDisplay(message.role);
-        text += `${roleDisplay}:\n`;
+        // Tables are flattened to text as a whole, so their formulas are resolved up front
+        container.querySelectorAll('table').forEach(table => this.processMathForText(table));
 
-        // Convert content to plain text (no timestamps)
-        const content = this.htmlToText(message.content);
-        text += content;
+        const blocks = [];
+        let buffer = '';
 
-        return text;
+        const flush = (type = 'paragraph') => {
+            const text = buffer.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+            if (text) blocks.push({ type, text });
+            buffer = '';
+        };
+
+        const walk = (node, listDepth = 0) => {
+            for (const child of node.childNodes) {
+                if (child.nodeType === Node.TEXT_NODE) {
+                    buffer += child.textContent.replace(/\s+/g, ' ');
+                    continue;
+                }
+                if (child.nodeType !== Node.ELEMENT_NODE) continue;
+
+                const tagName = child.tagName.toLowerCase();
+                if (this.skippedMarkdownTags.includes(tagName)) continue;
+
+                if (child.hasAttribute('data-math-mode')) {
+                    if (child.getAttribute('data-math-mode') === 'display') {
+                        flush();
+                        buffer = this.mathToTeX(child);
+                        flush();
+                    } else {
+                        buffer += this.mathToTeX(child);
+                    }
+                } else if (/^h[1-6]$/.test(tagName)) {
+                    flush();
+                    blocks.push({ type: 'heading', level: Number(tagName[1]), text: child.textContent.replace(/\s+/g, ' ').trim() });
+                } else if (tagName === 'pre') {
+                    flush();
+                    const codeElement = child.querySelector('code');
+                    blocks.push({
+                        type: 'code',
+                        language: this.getCodeBlockLanguage(child) || null,
+                        text: (codeElement ? codeElement.textContent : child.textContent).replace(/\n$/, '')
+                    });
+                } else if (tagName === 'table') {
+                    flush();
+                    blocks.push({ type: 'table', text: this.tableToText(child).trim() });
+                } else if (tagName === 'ul' || tagName === 'ol') {
+                    flush();
+                    this.getListItems(child).forEach(item => {
+                        const checkbox = this.getTaskCheckbox(item);
+                        const marker = (tagName === 'ol' ? `${this.getListItemNumber(item)}.` : '•') +
+                            (checkbox ? (checkbox.hasAttribute('checked') ? ' [x]' : ' [ ]') : '');
+                        const itemBlocks = blocks.length;
+                        walk(item, listDepth + 1);
+                        flush();
+                        // The item's own text is the first block it produced; nested lists follow it
+                        const first = blocks[itemBlocks];
+                        if (first && first.type === 'paragraph') {
+                            blocks[itemBlocks] = { type: 'list-item', depth: listDepth, marker, text: first.text };
+                        } else {
+                            blocks.splice(itemBlocks, 0, { type: 'list-item', depth: listDepth, marker, text: '' });
+                        }
+                    });
+                } else if (tagName === 'blockquote') {
+                    flush();
+                    buffer = child.textContent;
+                    flush('quote');
+                } else if (tagName === 'hr') {
+                    flush();
+                    blocks.push({ type: 'rule' });
+                } else if (tagName === 'br') {
+                    buffer += '\n';
+                } else if (tagName === 'img') {
+                    buffer += `[Image: ${child.getAttribute('alt') || 'image'}]`;
+                } else if (['p', 'div', 'section', 'article', 'header', 'footer', 'li'].includes(tagName)) {
+                    flush();
+                    walk(child, listDepth);
+                    flush();
+                } else {
+                    walk(child, listDepth);
+                }
+            }
+        };
+
+        walk(container);
+        flush();
+        return blocks;
+    }
+
+    /**
+     * PDF blocks of a message or of one of its alternate versions
+     */
+    messageContentToBlocks(message, options) {
+        const blocks = this.htmlToBlocks(this.prepareMessageContent(message.content, options));
+        const sources = this.getMessageSources(message);
+        if (sources.length > 0) {
+            // PDF links are not clickable, so the address is printed in full
+            blocks.push(...this.htmlToBlocks('<p><strong>Sources</strong></p><ul>' +
+                sources.map(source => `<li>${this.escapeHtml(`[${source.number}] ${source.title}: ${source.url}`)}</li>`).join('') +
+                '</ul>'));
+        }
+        return blocks;
+    }
+
+    /**
+     * Reasoning trace as PDF blocks: a label followed by quoted text, keeping code blocks as code
+     */
+    thinkingToBlocks(message, options) {
+        const thinking = this.getMessageThinking(message, options);
+        if (!thinking) return [];
+
+        const blocks = this.htmlToBlocks(thinking).map(block => (
+            block.type === 'code' || block.type === 'table' || block.type === 'rule'
+                ? block
+                : { type: 'quote', text: block.type === 'list-item' ? `${block.marker} ${block.text}` : block.text }
+        ));
+        return [{ type: 'heading', level: 6, text: 'Thinking' }, ...blocks, { type: 'rule' }];
     }
 
     /**
@@ -113,7 +1366,7 @@ class ContentProcessor {
         // SECURITY FIX: Use safe HTML parsing instead of innerHTML
         this.safeSetHTML(tempDiv, htmlContent);
 
-        return this.processElementToMarkdown(tempDiv);
+        return this.normalizeMarkdown(this.processElementToMarkdown(tempDiv));
     }
 
     /**
@@ -134,6 +1387,12 @@ class ContentProcessor {
 
         // Handle special elements for better formatting
         // Use try-catch for each processing step to ensure one failure doesn't stop everything
+        try {
+            this.processMathForText(tempDiv);
+        } catch (error) {
+            console.warn('Math processing failed, continuing with text extraction:', error);
+        }
+
         try {
             this.processTablesForText(tempDiv);
         } catch (error) {
@@ -173,8 +1432,10 @@ class ContentProcessor {
             const parser = new DOMParser();
             const doc = parser.parseFromString(htmlContent, 'text/html');
 
-            // Remove potentially dangerous elements
-            this.sanitizeDocument(doc);
+            // Formulas are marked first, while the page's KaTeX and MathJax markup is still there;
+            // then everything outside the sanitizer's allowlist is removed
+            this.markMath(doc.body);
+            this.sanitizer.sanitize(doc.body);
 
             // Clear the target element
             element.innerHTML = '';
@@ -190,39 +1451,67 @@ class ContentProcessor {
     }
 
     /**
-     * Remove potentially dangerous elements and attributes from parsed document
+     * Replace rendered formulas with a marker holding their TeX source and MathML, so every format
+     * gets the formula once instead of the glyphs of both the MathML and the visual layer.
+     * Markers are <span|div data-math-mode="inline|display" data-latex="..."> around the <math> element.
+     */
+    markMath(root) {
+        const formulas = Array.from(root.querySelectorAll(this.mathSelector))
+            .filter(element => !element.closest('[data-math-mode]'))
+            .filter((element, _index, all) => !all.some(other => other !== element && other.contains(element)));
+
+        formulas.forEach(formula => {
+            const mathml = formula.matches('math') ? formula : formula.querySelector('math');
+            const tex = this.readTeX(formula, mathml);
+            if (!tex && !mathml) return;
+
+            const display = formula.matches(this.displayMathSelector) || formula.querySelector(this.displayMathSelector) !== null;
+            const marker = formula.ownerDocument.createElement(display ? 'div' : 'span');
+            marker.setAttribute('data-math-mode', display ? 'display' : 'inline');
+            marker.setAttribute('data-latex', tex);
+            // Replaced first: a bare <math> is both the formula and the MathML moved into the marker
+            formula.replaceWith(marker);
+            if (mathml) {
+                // Annotations in other markup languages can carry HTML that would be rendered as-is
+                mathml.querySelectorAll('annotation-xml').forEach(annotation => annotation.remove());
+                marker.appendChild(mathml);
+            }
+        });
+    }
+
+    /**
+     * Original TeX of a rendered formula: KaTeX's annotation, a data attribute or the MathML alttext
      */
-    sanitizeDocument(doc) {
-        // Remove script tags
-        const scripts = doc.querySelectorAll('script');
-        scripts.forEach(script => script.remove());
+    readTeX(formula, mathml) {
+        const annotation = formula.querySelector('annotation[encoding="application/x-tex"]');
+        if (annotation) return annotation.textContent.trim();
+
+        const holder = [formula, ...formula.querySelectorAll('[data-math], [data-latex], [data-tex]')]
+            .find(element => element.getAttribute('data-math') || element.getAttribute('data-latex') || element.getAttribute('data-tex'));
+        if (holder) {
+            return (holder.getAttribute('data-math') || holder.getAttribute('data-latex') || holder.getAttribute('data-tex')).trim();
+        }
 
-        // Remove style tags
-        const styles = doc.querySelectorAll('style');
-        styles.forEach(style => style.remove());
+        return mathml ? (mathml.getAttribute('alttext') || '').trim() : '';
+    }
 
-        // Remove on* event attributes from all elements
-        const allElements = doc.querySelectorAll('*');
-        allElements.forEach(element => {
-            // Remove all event handler attributes
-            for (let i = element.attributes.length - 1; i >= 0; i--) {
-                const attr = element.attributes[i];
-                if (attr.name.toLowerCase().startsWith('on')) {
-                    element.removeAttribute(attr.name);
-                }
-            }
+    /**
+     * Delimited TeX of a math marker: $...$ inline, $$...$$ on its own lines for display math.
+     * Formulas without TeX fall back to the text of their MathML.
+     */
+    mathToTeX(marker) {
+        const tex = marker.getAttribute('data-latex') || marker.textContent.replace(/\s+/g, ' ').trim();
+        return marker.getAttribute('data-math-mode') === 'display' ? `$$\n${tex}\n$$` : `$${tex}$`;
+    }
 
-            // Remove dangerous attributes
-            const dangerousAttrs = ['javascript:', 'data:', 'vbscript:', 'file:'];
-            ['href', 'src', 'action', 'formaction', 'data'].forEach(attrName => {
-                const attrValue = element.getAttribute(attrName);
-                if (attrValue) {
-                    const lowerValue = attrValue.toLowerCase().trim();
-                    if (dangerousAttrs.some(dangerous => lowerValue.startsWith(dangerous))) {
-                        element.removeAttribute(attrName);
-                    }
-                }
-            });
+    /**
+     * Replace math markers with their delimited TeX for plain text
+     */
+    processMathForText(container) {
+        container.querySelectorAll('[data-math-mode]').forEach(marker => {
+            const display = marker.getAttribute('data-math-mode') === 'display';
+            const tex = this.mathToTeX(marker);
+            marker.replaceWith(document.createTextNode(display ? `\n${tex}\n` : tex));
         });
     }
 
@@ -234,21 +1523,30 @@ class ContentProcessor {
 
         for (const node of element.childNodes) {
             if (node.nodeType === Node.TEXT_NODE) {
-                result += node.textContent;
+                // Whitespace between list items would indent the next item's marker
+                if (['ul', 'ol'].includes(element.tagName.toLowerCase()) && !node.textContent.trim()) continue;
+                // Source HTML whitespace is insignificant outside of code blocks
+                result += this.escapeMarkdown(node.textContent.replace(/\s+/g, ' '));
             } else if (node.nodeType === Node.ELEMENT_NODE) {
                 const tagName = node.tagName.toLowerCase();
-                const textContent = this.processElementToMarkdown(node);
 
-                if (tagName === 'table') {
+                if (this.skippedMarkdownTags.includes(tagName)) {
+                    continue;
+                }
+
+                if (node.hasAttribute('data-math-mode')) {
+                    const math = this.mathToTeX(node);
+                    result += node.getAttribute('data-math-mode') === 'display' ? `\n\n${math}\n\n` : math;
+                } else if (tagName === 'table') {
                     result += this.tableToMarkdown(node);
                 } else if (tagName === 'pre') {
                     result += this.preToMarkdown(node);
                 } else if (this.markdownConverters[tagName]) {
+                    const textContent = this.processElementToMarkdown(node);
                     const converter = this.markdownConverters[tagName];
-                    const index = Array.from(node.parentElement?.children || []).indexOf(node);
-                    result += converter(textContent, node, index);
+                    result += converter(textContent, node);
                 } else {
-                    result += textContent;
+                    result += this.processElementToMarkdown(node);
                 }
             }
         }
@@ -257,29 +1555,150 @@ class ContentProcessor {
     }
 
     /**
-     * Convert HTML table to Markdown table
+     * Backslash-escape text so Markdown shows it as written: inline markup and HTML characters anywhere,
+     * and heading, list and quote markers at its start. Table pipes are escaped per cell instead.
      */
-    tableToMarkdown(tableElement) {
-        const rows = Array.from(tableElement.querySelectorAll('tr'));
-        if (rows.length === 0) return '';
+    escapeMarkdown(text) {
+        return String(text || '')
+            .replace(/[\\`*_[\]<>&~]/g, '\\$&')
+            .replace(/^(\s*)([#+=-])/, '$1\\$2')
+            .replace(/^(\s*\d+)([.)])/, '$1\\$2');
+    }
 
-        let markdown = '\n';
-        
-        rows.forEach((row, rowIndex) => {
-            const cells = Array.from(row.querySelectorAll('td, th'));
-            const cellContents = cells.map(cell => 
-                this.htmlToText(cell.innerHTML).replace(/\|/g, '\\|').trim()
-            );
-            
-            markdown += `| ${cellContents.join(' | ')} |\n`;
-            
-            // Add header separator after first row
-            if (rowIndex === 0 && cells.length > 0) {
-                markdown += `| ${cells.map(() => '---').join(' | ')} |\n`;
+    /**
+     * Percent-encode the characters that would end a Markdown link destination early
+     */
+    escapeMarkdownUrl(url) {
+        return url.replace(/[\s()<>]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+    }
+
+    /**
+     * Wrap inline text in an emphasis marker, keeping surrounding whitespace outside the marker
+     */
+    wrapInline(text, marker) {
+        const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        if (!match[2]) return text;
+        return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+    }
+
+    /**
+     * Convert inline code to Markdown, widening the backtick fence if the code contains backticks
+     */
+    inlineCodeToMarkdown(code) {
+        if (!code) return '';
+
+        const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longestRun + 1);
+        const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+        return `${fence}${padding}${code}${padding}${fence}`;
+    }
+
+    /**
+     * Tidy up whitespace left over from the recursive conversion
+     */
+    normalizeMarkdown(markdown) {
+        const lines = markdown.split('\n');
+        let inFence = false;
+
+        const cleaned = lines.map(line => {
+            if (/^\s*(`{3,}|~{3,})/.test(line)) {
+                inFence = !inFence;
+                return line;
             }
+            return inFence ? line : line.replace(/[ \t]+$/, '');
         });
-        
-        return markdown + '\n';
+
+        return cleaned.join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Convert a table to a GFM table. The header row comes from <thead> or a row of <th> cells and is
+     * left blank when the table has neither; column alignment comes from the cells' align or text-align
+     */
+    tableToMarkdown(tableElement) {
+        const { rows, headerRowCount, alignments } = this.getTableGrid(tableElement);
+        if (rows.length === 0 || alignments.length === 0) return '';
+
+        const toRow = cells => `| ${cells.join(' | ')} |`;
+        const toCells = row => row.map(cell => (cell ? this.tableCellToMarkdown(cell) : ''));
+        const separators = { left: ':---', center: ':---:', right: '---:' };
+
+        // GFM tables have a single header row; further <thead> rows become body rows
+        const lines = [
+            toRow(headerRowCount > 0 ? toCells(rows[0]) : alignments.map(() => '')),
+            toRow(alignments.map(alignment => separators[alignment] || '---')),
+            ...rows.slice(headerRowCount > 0 ? 1 : 0).map(row => toRow(toCells(row)))
+        ];
+        return `\n${lines.join('\n')}\n\n`;
+    }
+
+    /**
+     * Inline Markdown of a table cell, keeping code and links; line breaks become <br>
+     */
+    tableCellToMarkdown(cell) {
+        return this.processElementToMarkdown(cell)
+            .trim()
+            .replace(/\s*\n\s*/g, '<br>')
+            .replace(/\|/g, '\\|');
+    }
+
+    /**
+     * Lay out a table as a grid of cells, resolving colspan and rowspan. A cell spanning several
+     * rows is repeated in each of them; the further columns a cell spans are left empty (null).
+     * @returns {{rows: Array<Array<Element|null>>, headerRowCount: number, alignments: Array<string|null>}}
+     */
+    getTableGrid(tableElement) {
+        const rowElements = Array.from(tableElement.querySelectorAll('tr')).filter(row => row.closest('table') === tableElement);
+        const grid = rowElements.map(() => []);
+
+        rowElements.forEach((row, rowIndex) => {
+            let column = 0;
+            Array.from(row.children)
+                .filter(cell => ['td', 'th'].includes(cell.tagName.toLowerCase()))
+                .forEach(cell => {
+                    while (grid[rowIndex][column] !== undefined) column++;
+
+                    const colspan = Math.min(Math.max(parseInt(cell.getAttribute('colspan'), 10) || 1, 1), 100);
+                    // rowspan="0" spans the rest of the table
+                    const rowspanValue = parseInt(cell.getAttribute('rowspan'), 10);
+                    const remainingRows = rowElements.length - rowIndex;
+                    const rowspan = rowspanValue === 0 ? remainingRows : Math.min(Math.max(rowspanValue || 1, 1), remainingRows);
+
+                    for (let r = 0; r < rowspan; r++) {
+                        for (let c = 0; c < colspan; c++) {
+                            grid[rowIndex + r][column + c] = c === 0 ? cell : null;
+                        }
+                    }
+                    column += colspan;
+                });
+        });
+
+        const width = Math.max(0, ...grid.map(row => row.length));
+        const rows = grid.map(row => Array.from({ length: width }, (_, column) => row[column] || null));
+
+        let headerRowCount = rowElements.findIndex(row => !row.parentElement || row.parentElement.tagName.toLowerCase() !== 'thead');
+        if (headerRowCount === -1) headerRowCount = rowElements.length;
+        if (headerRowCount === 0 && rowElements.length > 0) {
+            const firstCells = Array.from(rowElements[0].children);
+            headerRowCount = firstCells.length > 0 && firstCells.every(cell => cell.tagName.toLowerCase() === 'th') ? 1 : 0;
+        }
+
+        const alignments = Array.from({ length: width }, (_, column) => {
+            const aligned = rows.map(row => row[column]).find(cell => cell && this.getCellAlignment(cell));
+            return aligned ? this.getCellAlignment(aligned) : null;
+        });
+
+        return { rows, headerRowCount, alignments };
+    }
+
+    /**
+     * Horizontal alignment of a table cell: left, center, right or null
+     */
+    getCellAlignment(cell) {
+        const alignment = (cell.getAttribute('align') || (cell.style && cell.style.textAlign) || '').toLowerCase();
+        return ['left', 'center', 'right'].includes(alignment) ? alignment : null;
     }
 
     /**
@@ -287,10 +1706,14 @@ class ContentProcessor {
      */
     preToMarkdown(preElement) {
         const codeElement = preElement.querySelector('code');
-        const content = codeElement ? codeElement.textContent : preElement.textContent;
-        const language = this.detectCodeLanguage(preElement);
-        
-        return `\n\`\`\`${language}\n${content}\n\`\`\`\n\n`;
+        const content = (codeElement ? codeElement.textContent : preElement.textContent).replace(/\n$/, '');
+        const language = this.getCodeBlockLanguage(preElement);
+
+        // Use a longer fence if the code itself contains a fence
+        const longestRun = Math.max(2, ...(content.match(/`{3,}/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longestRun + 1);
+
+        return `\n\n${fence}${language}\n${content}\n${fence}\n\n`;
     }
 
     /**
@@ -312,37 +1735,139 @@ class ContentProcessor {
     }
 
     /**
-     * Convert table to plain text format
+     * Convert a table to plain text with padded columns that line up in a monospace font,
+     * and a dashed rule under the header rows
      */
     tableToText(tableElement) {
         try {
-            const rows = Array.from(tableElement.querySelectorAll('tr'));
-            let text = '\n';
-
-            rows.forEach(row => {
-                const cells = Array.from(row.querySelectorAll('td, th'));
-                const cellContents = cells.map(cell => {
-                    try {
-                        return (cell.textContent || '').trim();
-                    } catch (e) {
-                        return '';
-                    }
-                });
-                text += cellContents.join('\t') + '\n';
-            });
-
-            return text + '\n';
+            const { rows, headerRowCount, alignments } = this.getTableGrid(tableElement);
+            if (alignments.length === 0) return '';
+
+            const cells = rows.map(row => row.map(cell => this.getTableCellText(cell)));
+            const widths = alignments.map((_, column) => Math.max(3, ...cells.map(row => this.getDisplayWidth(row[column]))));
+            const lines = cells.map(row => row
+                .map((text, column) => this.padTableCell(text, widths[column], alignments[column]))
+                .join('  ')
+                .trimEnd());
+
+            if (headerRowCount > 0) {
+                lines.splice(headerRowCount, 0, widths.map(width => '-'.repeat(width)).join('  '));
+            }
+            return `\n${lines.join('\n')}\n\n`;
         } catch (error) {
             // If table parsing completely fails, just return the text content
             return `\n${tableElement.textContent || ''}\n`;
         }
     }
 
+    /**
+     * Single-line text of a table cell
+     */
+    getTableCellText(cell) {
+        return cell ? (cell.textContent || '').replace(/\s+/g, ' ').trim() : '';
+    }
+
+    /**
+     * Columns a string takes up in a monospaced font: wide East Asian characters and emoji take two,
+     * combining marks and the joined parts of emoji sequences none
+     */
+    getDisplayWidth(text) {
+        let width = 0;
+        let lastWidth = 0;
+        let joined = false;
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            if (code === 0xfe0f && lastWidth === 1) {
+                // Emoji presentation selector, as in "❤️"
+                width++;
+                lastWidth = 2;
+            }
+            if (/[\p{Mn}\p{Me}\p{Cf}]/u.test(char) || (code >= 0xfe00 && code <= 0xfe0f)) {
+                joined = joined || code === 0x200d;
+                continue;
+            }
+            if (!joined) {
+                lastWidth = this.isWideCharacter(char, code) ? 2 : 1;
+                width += lastWidth;
+            }
+            joined = false;
+        }
+        return width;
+    }
+
+    isWideCharacter(char, code) {
+        return /\p{Emoji_Presentation}/u.test(char) ||
+            (code >= 0x1100 && code <= 0x115f) ||   // Hangul Jamo
+            (code >= 0x2e80 && code <= 0x303e) ||   // CJK radicals and punctuation
+            (code >= 0x3041 && code <= 0x33ff) ||   // Kana and CJK symbols
+            (code >= 0x3400 && code <= 0x4dbf) ||
+            (code >= 0x4e00 && code <= 0x9fff) ||   // CJK ideographs
+            (code >= 0xa000 && code <= 0xa4cf) ||   // Yi
+            (code >= 0xac00 && code <= 0xd7a3) ||   // Hangul syllables
+            (code >= 0xf900 && code <= 0xfaff) ||
+            (code >= 0xfe30 && code <= 0xfe4f) ||
+            (code >= 0xff00 && code <= 0xff60) ||   // Fullwidth forms
+            (code >= 0xffe0 && code <= 0xffe6) ||
+            (code >= 0x20000 && code <= 0x3fffd);
+    }
+
+    /**
+     * Pad cell text to a column width, following the column's alignment
+     */
+    padTableCell(text, width, alignment) {
+        const padding = Math.max(0, width - this.getDisplayWidth(text));
+        if (alignment === 'right') return ' '.repeat(padding) + text;
+        if (alignment === 'center') {
+            const left = Math.floor(padding / 2);
+            return ' '.repeat(left) + text + ' '.repeat(padding - left);
+        }
+        return text + ' '.repeat(padding);
+    }
+
+    /**
+     * Convert a table to CSV (RFC 4180), header rows included
+     */
+    tableToCsv(tableElement) {
+        const { rows } = this.getTableGrid(tableElement);
+        const quote = text => (/[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+        return rows.map(row => row.map(cell => quote(this.getTableCellText(cell))).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Save every table of the conversation as a CSV file, named after the message it is in:
+     * tables/table-<message>-<n>.csv
+     * @param {Object} options - Processing options; assetFolder places the files in a subfolder
+     * @returns {Array<{path: string, content: string}>}
+     */
+    collectTableFiles(conversationData, options) {
+        const folder = [options.assetFolder, 'tables'].filter(Boolean).join('/');
+        const files = [];
+
+        conversationData.forEach((message, messageIndex) => {
+            const container = this.parseToContainer(message.content);
+            if (!container) return;
+
+            Array.from(container.querySelectorAll('table'))
+                .filter(table => !table.parentElement.closest('table'))
+                .forEach((table, tableIndex) => {
+                    const csv = this.tableToCsv(table);
+                    if (!csv.trim()) return;
+                    files.push({
+                        path: `${folder}/table-${String(messageIndex + 1).padStart(3, '0')}-${tableIndex + 1}.csv`,
+                        content: csv
+                    });
+                });
+        });
+
+        return files;
+    }
+
     /**
      * Process code blocks for plain text
      */
     processCodeBlocksForText(element) {
-        const codeBlocks = element.querySelectorAll('pre, code');
+        // Inline <code> is left in its sentence; only <pre> blocks get lines of their own
+        const codeBlocks = element.querySelectorAll('pre');
         codeBlocks.forEach(block => {
             try {
                 const content = block.textContent || '';
@@ -357,28 +1882,14 @@ class ContentProcessor {
     }
 
     /**
-     * Process lists for plain text
+     * Process lists for plain text. Each outermost list is rendered as a tree, so nested items
+     * appear once, indented under their parent item.
      */
     processListsForText(element) {
-        const lists = element.querySelectorAll('ul, ol');
+        const lists = Array.from(element.querySelectorAll('ul, ol')).filter(list => !list.parentElement.closest('ul, ol'));
         lists.forEach(list => {
             try {
-                const items = Array.from(list.querySelectorAll('li'));
-                const isOrdered = list.tagName.toLowerCase() === 'ol';
-
-                let text = '\n';
-                items.forEach((item, index) => {
-                    try {
-                        const prefix = isOrdered ? `${index + 1}. ` : '• ';
-                        text += `${prefix}${(item.textContent || '').trim()}\n`;
-                    } catch (e) {
-                        // Skip problematic list items but continue with others
-                        console.warn('Failed to process list item, skipping:', e);
-                    }
-                });
-                text += '\n';
-
-                list.replaceWith(document.createTextNode(text));
+                list.replaceWith(document.createTextNode(`\n${this.listToText(list)}\n`));
             } catch (error) {
                 console.warn('Failed to process list, falling back to text content:', error);
                 // Fallback: just get the text content of the list
@@ -388,6 +1899,108 @@ class ContentProcessor {
         });
     }
 
+    /**
+     * Plain text of one list: a marker per item ("•", "3.", "• [x]"), with the item's further
+     * paragraphs, code and nested lists indented to line up with its first line
+     */
+    listToText(list) {
+        const ordered = list.tagName.toLowerCase() === 'ol';
+        const lines = [];
+
+        this.getListItems(list).forEach(item => {
+            const checkbox = this.getTaskCheckbox(item);
+            let marker = ordered ? `${this.getListItemNumber(item)}.` : '•';
+            if (checkbox) {
+                marker += checkbox.hasAttribute('checked') ? ' [x]' : ' [ ]';
+            }
+
+            // Text and nested lists in document order; runs of inline content are rendered together
+            const parts = [];
+            let inline = document.createElement('div');
+            const flushInline = () => {
+                inline.querySelectorAll('input[type="checkbox"]').forEach(input => input.remove());
+                this.processBlockElementsForText(inline);
+                const text = (inline.textContent || '').replace(/\n{3,}/g, '\n\n').trim();
+                if (text) parts.push(text);
+                inline = document.createElement('div');
+            };
+            Array.from(item.childNodes).forEach(child => {
+                if (child.nodeType === Node.ELEMENT_NODE && ['ul', 'ol'].includes(child.tagName.toLowerCase())) {
+                    flushInline();
+                    parts.push(this.listToText(child));
+                } else {
+                    inline.appendChild(child.cloneNode(true));
+                }
+            });
+            flushInline();
+
+            const padding = ' '.repeat(marker.length + 1);
+            parts.join('\n').split('\n').forEach((line, index) => {
+                if (index === 0) {
+                    lines.push(`${marker} ${line}`);
+                } else {
+                    lines.push(line ? padding + line : '');
+                }
+            });
+            if (parts.length === 0) {
+                lines.push(marker);
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * The <li> children of a list
+     */
+    getListItems(list) {
+        return Array.from(list.children).filter(child => child.tagName.toLowerCase() === 'li');
+    }
+
+    /**
+     * Number shown for an ordered list item, honoring the list's start attribute and item values
+     */
+    getListItemNumber(item) {
+        const list = item.parentElement;
+        const start = parseInt(list ? list.getAttribute('start') : '', 10);
+        let number = Number.isNaN(start) ? 1 : start;
+
+        for (const sibling of list ? this.getListItems(list) : [item]) {
+            const value = parseInt(sibling.getAttribute('value'), 10);
+            if (!Number.isNaN(value)) number = value;
+            if (sibling === item) break;
+            number++;
+        }
+        return number;
+    }
+
+    /**
+     * Checkbox of a task list item ("- [x] done"), ignoring those of nested items
+     */
+    getTaskCheckbox(item) {
+        return Array.from(item.querySelectorAll('input[type="checkbox"]'))
+            .find(input => input.closest('li') === item) || null;
+    }
+
+    /**
+     * Markdown for a list item: its marker, then continuation lines (paragraphs, code, nested lists)
+     * indented to the width of the marker so they stay inside the item
+     */
+    listItemToMarkdown(text, element) {
+        const parent = element.parentElement;
+        const ordered = parent && parent.tagName.toLowerCase() === 'ol';
+        let prefix = ordered ? `${this.getListItemNumber(element)}. ` : '- ';
+        const indent = ' '.repeat(prefix.length);
+
+        const checkbox = this.getTaskCheckbox(element);
+        if (checkbox) {
+            prefix += checkbox.hasAttribute('checked') ? '[x] ' : '[ ] ';
+        }
+
+        const lines = text.trim().replace(/\n{3,}/g, '\n\n').split('\n');
+        return prefix + lines.map((line, i) => (i === 0 || !line ? line : indent + line)).join('\n') + '\n';
+    }
+
     /**
      * Process block elements to ensure proper line breaks
      */
@@ -489,14 +2102,23 @@ class ContentProcessor {
     /**
      * Generate Markdown header with metadata
      */
-    generateMarkdownHeader(conversationData, platform) {
+    generateMarkdownHeader(conversationData, options) {
         const now = new Date();
-        const title = this.generateConversationTitle(conversationData);
-        
-        return `# ${title}\n\n` +
-               `**Platform:** ${platform}\n` +
+        const title = options.title || this.generateConversationTitle(conversationData);
+        const urlLine = options.url && this.isValidUrl(options.url) ? `**URL:** ${options.url}\n` : '';
+        const idLine = options.conversationId ? `**Conversation ID:** ${this.escapeMarkdown(options.conversationId)}\n` : '';
+        const removedContent = this.getSanitizationSummary();
+        const removedLine = removedContent ? `**Removed:** ${this.escapeMarkdown(removedContent)}\n` : '';
+
+        return `# ${this.escapeMarkdown(title)}\n\n` +
+               `**Platform:** ${options.platform}\n` +
+               urlLine +
+               idLine +
                `**Export Date:** ${now.toISOString()}\n` +
-               `**Message Count:** ${conversationData.length}\n\n` +
+               `**Message Count:** ${conversationData.length}\n` +
+               this.getConversationDetails(conversationData, options).map(([label, value]) => `**${label}:** ${this.escapeMarkdown(value)}\n`).join('') +
+               removedLine +
+               '\n' +
                `---\n\n`;
     }
 
@@ -509,7 +2131,7 @@ class ContentProcessor {
         const firstMessage = conversationData.find(msg => msg.role === 'user');
         if (!firstMessage) return 'LLM Conversation';
         
-        const content = this.htmlToText(firstMessage.content);
+        const content = this.htmlToText(firstMessage.content).replace(/\s+/g, ' ').trim();
         const title = content.substring(0, 50).trim();
         return title.length < content.length ? `${title}...` : title;
     }
@@ -535,10 +2157,10 @@ class ContentProcessor {
      */
     detectCodeLanguage(element) {
         // Look for language hints in class names
-        const classNames = element.className || '';
-        const langMatch = classNames.match(/language-(\w+)|lang-(\w+)/);
+        const classNames = typeof element.className === 'string' ? element.className : '';
+        const langMatch = classNames.match(/(?:^|\s)(?:language|lang)-([\w+#-]+)/);
         if (langMatch) {
-            return langMatch[1] || langMatch[2];
+            return langMatch[1];
         }
         
         // Look for data attributes
@@ -549,34 +2171,119 @@ class ContentProcessor {
     }
 
     /**
-     * Validate URL for security
+     * Language of a <pre> code block: classes or data-language on its <code> child or on itself,
+     * then the label in the platform's code block header, then a guess from the code itself
      */
-    isValidUrl(url) {
-        if (typeof url !== 'string') return false;
+    getCodeBlockLanguage(pre) {
+        const codeElement = pre.querySelector('code');
+        const declared = (codeElement && this.detectCodeLanguage(codeElement)) || this.detectCodeLanguage(pre);
+        if (declared) return declared;
 
-        try {
-            const urlObj = new URL(url);
-            // Only allow https and http protocols
-            if (!['https:', 'http:'].includes(urlObj.protocol)) {
-                return false;
-            }
-
-            // Check against allowed domains
-            const allowedDomains = [
-                'chat.openai.com',
-                'chatgpt.com',
-                'claude.ai',
-                'gemini.google.com',
-                'x.com',
-                'grok.com'
-            ];
+        const label = this.readCodeHeaderLanguage(pre, codeElement);
+        if (label) return label;
+
+        return this.guessCodeLanguage((codeElement || pre).textContent || '');
+    }
+
+    /**
+     * Language named in a code block header. ChatGPT draws the header inside the <pre> above the
+     * <code>, Gemini in a bar of its code-block wrapper, and Claude just above the <pre>.
+     * Only labels that name a known language count, so buttons like "Copy" are ignored.
+     */
+    readCodeHeaderLanguage(pre, codeElement) {
+        const precedes = (element, target) => Boolean(element.compareDocumentPosition(target) & Node.DOCUMENT_POSITION_FOLLOWING);
+        const labels = [];
+
+        if (codeElement) {
+            labels.push(...Array.from(pre.querySelectorAll('*'))
+                .filter(element => !element.contains(codeElement) && precedes(element, codeElement)));
+        }
+        const wrapper = pre.parentElement && pre.parentElement.closest('code-block, .code-block, [class*="code-block"]');
+        if (wrapper) {
+            labels.push(...Array.from(wrapper.querySelectorAll('*'))
+                .filter(element => !element.contains(pre) && precedes(element, pre)));
+        }
+        if (pre.previousElementSibling) {
+            labels.push(pre.previousElementSibling);
+        }
+
+        for (const element of labels) {
+            if (element.children.length > 0) continue;
+            const language = this.normalizeCodeLanguage(element.textContent);
+            if (language) return language;
+        }
+        return '';
+    }
+
+    /**
+     * Fence tag for a language label ("Python", "C++"), or '' when it does not name a known language
+     */
+    normalizeCodeLanguage(label) {
+        const name = (label || '').trim().toLowerCase();
+        if (!name || name.length > 20) return '';
+        if (this.codeLanguageAliases[name]) return this.codeLanguageAliases[name];
+        return (this.codeFileExtensions[name] || this.knownCodeLanguages.includes(name)) ? name : '';
+    }
 
-            return allowedDomains.some(domain =>
-                urlObj.hostname === domain || urlObj.hostname.endsWith('.' + domain)
-            );
-        } catch {
-            return false;
+    /**
+     * Offline guess of the language of unlabeled code from telltale syntax. Checks run from the most
+     * to the least distinctive, and code that matches none of them stays unlabeled.
+     */
+    guessCodeLanguage(code) {
+        const text = code.trim();
+        if (!text) return '';
+
+        const shebang = text.match(/^#!(?:\S*\/env\s+|\S*\/)(\w+)/);
+        if (shebang) {
+            const interpreter = shebang[1].replace(/\d+(\.\d+)*$/, '');
+            const byInterpreter = { bash: 'bash', sh: 'bash', zsh: 'bash', python: 'python', node: 'javascript', ruby: 'ruby', perl: 'perl' };
+            if (byInterpreter[interpreter]) return byInterpreter[interpreter];
+        }
+
+        if (/^<\?php/.test(text)) return 'php';
+        if (/^<\?xml/.test(text)) return 'xml';
+        if (/^<svg[\s>]/i.test(text)) return 'svg';
+        if (/^(<!doctype html|<html[\s>])/i.test(text) || /^<(div|span|p|head|body|section|ul|table|form)[\s>]/i.test(text)) return 'html';
+
+        if (/^[[{]/.test(text)) {
+            try {
+                JSON.parse(text);
+                return 'json';
+            } catch {
+                // Not JSON; fall through to the other checks
+            }
+        }
+
+        const checks = [
+            ['go', /^package \w+/m, /\bfunc\s+[\w(]/],
+            ['rust', /\bfn\s+\w+\s*(<[^>]*>)?\(/, /\b(let\s+mut|impl\b|println!|use\s+std::|->)/],
+            ['cpp', /#include\s*[<"]/, /\b(std::|cout|cin|template\s*<|namespace\s+\w+)/],
+            ['c', /#include\s*[<"]/, /\b(int|void)\s+main\s*\(|printf\s*\(/],
+            ['java', /\bpublic\s+(static\s+)?(final\s+)?(class|void|interface)\b/, /\bSystem\.out\.|;\s*$/m],
+            ['csharp', /\busing\s+System\b|\bnamespace\s+[\w.]+/, /\bConsole\.Write|\bpublic\s+(class|static)\b/],
+            ['typescript', /\b(interface\s+\w+\s*\{|type\s+\w+\s*=|:\s*(string|number|boolean|void|any)\b[\s;,)=])/, /\b(const|let|function|export|import)\b/],
+            ['javascript', /\b(const|let|var)\s+[\w{[]|=>|\bfunction\b|\bconsole\.log\(|\brequire\(|\bmodule\.exports\b|^import\s.+\sfrom\s+['"]/m, /[;{}()]/],
+            ['python', /^\s*(def\s+\w+\s*\(|class\s+\w+.*:\s*$|from\s+[\w.]+\s+import\b|import\s+[\w.]+\s*$|if\s+__name__\s*==)/m, /:\s*$|\bprint\(|\bself\b|\bNone\b/m],
+            ['ruby', /^\s*(def\s+\w+|class\s+\w+|module\s+\w+|require\s+['"])/m, /^\s*end\s*$/m],
+            ['php', /\$\w+\s*=/, /\becho\b|->|;\s*$/m],
+            ['sql', /^\s*(select\s[\s\S]+\sfrom|insert\s+into|update\s+\w+\s+set|delete\s+from|create\s+(table|index|view)|alter\s+table|with\s+\w+\s+as\s*\()\b/im, /./],
+            ['css', /^\s*[@.#:\w][^{};\n]*\{\s*$/m, /^\s*[\w-]+\s*:\s*[^;]+;\s*$/m],
+            ['bash', /^\s*(\$\s+)?(sudo|apt(-get)?|brew|npm|npx|yarn|pnpm|pip3?|git|cd|export|echo|curl|wget|docker|kubectl|mkdir|chmod|ls|cat|source)\s/m, /^[^{};]*$/],
+            ['yaml', /^[\w-]+:\s*(\S.*)?$/m, /^(\s*-\s|\s+[\w-]+:\s)/m]
+        ];
+        for (const [language, signature, support] of checks) {
+            if (signature.test(text) && support.test(text)) {
+                return language;
+            }
         }
+        return '';
+    }
+
+    /**
+     * Validate URL for security: only pages on supported platforms are linked in exports
+     */
+    isValidUrl(url) {
+        return new PlatformRegistry().isSupportedUrl(url);
     }
 
     /**
@@ -0,0 +1,90 @@
+// Universal LLM Conversation Exporter - Sidebar Conversation Lister
+// Reads the conversation history links from a platform's sidebar for bulk export
+
+class ConversationLister {
+    constructor(options = {}) {
+        this.settleDelay = options.settleDelay || 800;
+        this.maxScrollRounds = options.maxScrollRounds || 60;
+        this.stableRoundsToStop = options.stableRoundsToStop || 3;
+    }
+
+    /**
+     * Collect every conversation link in the sidebar, scrolling it to load lazily rendered entries
+     * @param {string} linkSelector - Selector matching sidebar conversation links
+     * @param {RegExp} [conversationPattern] - Only keep links whose absolute URL matches
+     * @returns {Promise<Array<{url: string, title: string}>>} - Conversations in sidebar order
+     */
+    async listConversations(linkSelector, conversationPattern = null) {
+        const found = new Map();
+        const collect = () => {
+            document.querySelectorAll(linkSelector).forEach(link => {
+                const url = this.toAbsoluteUrl(link.getAttribute('href'));
+                if (!url || found.has(url)) return;
+                if (conversationPattern && !conversationPattern.test(url)) return;
+
+                const title = (link.textContent || link.getAttribute('title') || '').replace(/\s+/g, ' ').trim();
+                found.set(url, { url, title });
+            });
+            return found.size;
+        };
+
+        collect();
+
+        const firstLink = document.querySelector(linkSelector);
+        const scroller = firstLink ? this.findScrollContainer(firstLink) : null;
+        if (scroller) {
+            const originalScrollTop = scroller.scrollTop;
+            let stableRounds = 0;
+            let lastCount = found.size;
+
+            for (let round = 0; round < this.maxScrollRounds && stableRounds < this.stableRoundsToStop; round++) {
+                scroller.scrollTop = scroller.scrollHeight;
+                await this.delay(this.settleDelay);
+
+                const count = collect();
+                stableRounds = count === lastCount ? stableRounds + 1 : 0;
+                lastCount = count;
+            }
+
+            scroller.scrollTop = originalScrollTop;
+        }
+
+        console.log(`ConversationLister: Found ${found.size} conversations in the sidebar`);
+        return Array.from(found.values());
+    }
+
+    /**
+     * Find the nearest ancestor that scrolls vertically
+     */
+    findScrollContainer(element) {
+        let current = element.parentElement;
+        while (current && current !== document.body) {
+            const overflowY = window.getComputedStyle(current).overflowY;
+            if ((overflowY === 'auto' || overflowY === 'scroll') && current.scrollHeight > current.clientHeight) {
+                return current;
+            }
+            current = current.parentElement;
+        }
+        return null;
+    }
+
+    toAbsoluteUrl(href) {
+        if (!href) return null;
+        try {
+            const url = new URL(href, window.location.href);
+            url.hash = '';
+            return url.href;
+        } catch {
+            return null;
+        }
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Export for use in extractors
+if (typeof window !== 'undefined') {
+    window.ConversationLister = ConversationLister;
+}
@@ -0,0 +1,169 @@
+// Universal LLM Conversation Exporter - Conversation History Loader
+// Scrolls long conversations up to their first turn and keeps every message seen on the way, since
+// virtualized chat lists unmount turns again once they leave the screen
+
+class HistoryLoader {
+    constructor(options = {}) {
+        // Longest wait at the top for the page to load earlier turns
+        this.settleDelay = options.settleDelay || 1000;
+        // Wait for a virtualized list to render the turns scrolled into view
+        this.renderDelay = options.renderDelay || 150;
+        this.pollInterval = options.pollInterval || 50;
+        this.maxScrollRounds = options.maxScrollRounds || 1000;
+    }
+
+    /**
+     * Scroll the chat up a screen at a time until no earlier messages load, then back to where it was
+     * @param {string|Function} messages - Selector matching one element per message, or a function
+     *   returning the message elements rendered right now
+     * @returns {Promise<Array<Element>>} - Every message in conversation order: the live element when
+     *   it is still rendered, otherwise a detached copy taken while it was on screen
+     */
+    async loadFullHistory(messages) {
+        const getRendered = typeof messages === 'function'
+            ? () => Array.from(messages())
+            : () => Array.from(document.querySelectorAll(messages));
+
+        // Keys and copies of every message seen so far, in conversation order
+        const order = [];
+        const copies = [];
+        // Position in that order of each message rendered at the last capture
+        let rendered = new Map();
+        // Record the messages on screen, returning how many were not seen before
+        const capture = () => {
+            const elements = getRendered();
+            const keys = elements.map(element => this.getMessageKey(element));
+            let offset = this.findOffset(order, keys);
+            // Loading moves upwards, so a snapshot with nothing in common goes before everything known
+            const before = offset === null ? keys.length : Math.max(0, -offset);
+            offset = offset === null ? 0 : offset + before;
+
+            order.unshift(...keys.slice(0, before));
+            copies.unshift(...elements.slice(0, before).map(element => element.cloneNode(true)));
+            const after = offset + keys.length - order.length;
+            if (after > 0) {
+                order.push(...keys.slice(keys.length - after));
+                copies.push(...elements.slice(elements.length - after).map(element => element.cloneNode(true)));
+            }
+
+            rendered = new Map(elements.map((element, index) => [offset + index, element]));
+            return before + Math.max(after, 0);
+        };
+        const collect = () => copies.map((copy, index) => rendered.get(index) || copy);
+
+        capture();
+        const scroller = rendered.size > 0 ? this.findScrollContainer(rendered.values().next().value) : null;
+        if (!scroller) {
+            return collect();
+        }
+
+        // Remember the position relative to the bottom, since loading adds content above it
+        const distanceFromBottom = scroller.scrollHeight - scroller.scrollTop;
+        let round = 0;
+
+        for (; round < this.maxScrollRounds; round++) {
+            // Less than a screen per step, so consecutive snapshots share messages to merge on
+            scroller.scrollTop = Math.max(0, scroller.scrollTop - Math.max(scroller.clientHeight * 0.75, 1));
+            scroller.dispatchEvent(new Event('scroll'));
+
+            const atTop = scroller.scrollTop <= 0;
+            const added = await this.waitForMessages(capture, atTop ? this.settleDelay : this.renderDelay);
+            // Done once the top is reached and nothing earlier loads there
+            if (atTop && added === 0 && scroller.scrollTop <= 0) {
+                break;
+            }
+        }
+
+        scroller.scrollTop = scroller.scrollHeight - distanceFromBottom;
+        scroller.dispatchEvent(new Event('scroll'));
+        await this.delay(this.renderDelay);
+        capture();
+
+        const result = collect();
+        console.log(`HistoryLoader: ${result.length} messages loaded after ${round} scroll rounds, ${rendered.size} still rendered`);
+        return result;
+    }
+
+    /**
+     * Poll for new messages until some appear or the timeout passes
+     * @returns {Promise<number>} - Number of new messages
+     */
+    async waitForMessages(capture, timeout) {
+        let added = 0;
+        for (let waited = 0; waited < timeout && added === 0; waited += this.pollInterval) {
+            await this.delay(this.pollInterval);
+            added = capture();
+        }
+        return added;
+    }
+
+    /**
+     * Identify a message by the turn or message id the platforms render, otherwise by its text
+     */
+    getMessageKey(element) {
+        const testId = element.getAttribute('data-testid') || '';
+        if (testId.startsWith('conversation-turn-')) return `id:${testId}`;
+        if (element.id) return `id:${element.id}`;
+        const idElement = element.matches('[data-message-id]') ? element : element.querySelector('[data-message-id]');
+        if (idElement) return `id:${idElement.getAttribute('data-message-id')}`;
+        return `text:${(element.textContent || '').trim()}`;
+    }
+
+    /**
+     * Where a snapshot of rendered messages lines up with the known order: the position in the order of
+     * its first message (negative when it starts above), or null when it shares no messages. Of the
+     * placements where every shared message matches, the one sharing the most wins, so repeated
+     * messages ("continue") cannot pull a snapshot out of place.
+     */
+    findOffset(order, keys) {
+        const positions = new Map();
+        order.forEach((key, index) => positions.set(key, [...(positions.get(key) || []), index]));
+
+        let best = null;
+        let bestOverlap = 0;
+        const tried = new Set();
+        keys.forEach((key, keyIndex) => (positions.get(key) || []).forEach(position => {
+            const offset = position - keyIndex;
+            if (tried.has(offset)) return;
+            tried.add(offset);
+
+            const from = Math.max(0, -offset);
+            const to = Math.min(keys.length, order.length - offset);
+            for (let index = from; index < to; index++) {
+                if (keys[index] !== order[offset + index]) return;
+            }
+            if (to - from > bestOverlap) {
+                best = offset;
+                bestOverlap = to - from;
+            }
+        }));
+        return best;
+    }
+
+    /**
+     * Find the nearest ancestor that scrolls vertically
+     */
+    findScrollContainer(element) {
+        let current = element.parentElement;
+        while (current && current !== document.body) {
+            const overflowY = window.getComputedStyle(current).overflowY;
+            if ((overflowY === 'auto' || overflowY === 'scroll') && current.scrollHeight > current.clientHeight) {
+                return current;
+            }
+            current = current.parentElement;
+        }
+
+        // Some layouts scroll the whole page instead of an inner container
+        const page = document.scrollingElement;
+        return page && page.scrollHeight > page.clientHeight ? page : null;
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Export for use in extractors
+if (typeof window !== 'undefined') {
+    window.HistoryLoader = HistoryLoader;
+}
@@ -0,0 +1,200 @@
+// Universal LLM Conversation Exporter - HTML Sanitizer
+// Allowlist sanitizer for message HTML. Only known elements and attributes are kept: the platforms'
+// custom elements and other unknown containers are unwrapped, and active content (scripts, frames,
+// embeds, forms, SVG) is dropped with everything inside it. A profile per output format decides
+// which links and images are allowed, and every removal of unsafe content is counted for the report.
+
+const SANITIZER_PROFILES = {
+    // Text, PDF and code files never render markup or follow links
+    text: {
+        urlSchemes: ['http:', 'https:', 'mailto:', 'tel:', 'ftp:'],
+        dataImageTypes: null
+    },
+    // Markdown and JSON are read by other tools, which may render their links and images
+    markdown: {
+        urlSchemes: ['http:', 'https:', 'mailto:'],
+        dataImageTypes: ['png', 'jpeg', 'jpg', 'gif', 'webp', 'avif', 'bmp', 'svg+xml']
+    },
+    // HTML exports are opened in a browser by whoever receives them; an SVG shown through <img> runs no script
+    html: {
+        urlSchemes: ['http:', 'https:', 'mailto:'],
+        dataImageTypes: ['png', 'jpeg', 'jpg', 'gif', 'webp', 'avif', 'bmp', 'svg+xml']
+    }
+};
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+
+class HtmlSanitizer {
+    /**
+     * @param {string} [profile] - 'text', 'markdown' or 'html'; unknown names get the strictest profile
+     */
+    constructor(profile = 'html') {
+        this.profileName = SANITIZER_PROFILES[profile] ? profile : 'html';
+        this.profile = SANITIZER_PROFILES[this.profileName];
+
+        this.allowedTags = new Set([
+            'a', 'abbr', 'article', 'aside', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption', 'cite', 'code',
+            'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+            'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'li',
+            'main', 'mark', 'nav', 'ol', 'p', 'pre', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'section', 'small',
+            'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time',
+            'tr', 'u', 'ul', 'var', 'wbr'
+        ]);
+        // Presentation MathML, so formulas survive (see ContentProcessor.markMath)
+        this.allowedMathTags = new Set([
+            'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace', 'msup', 'msub',
+            'msubsup', 'mfrac', 'msqrt', 'mroot', 'mstyle', 'merror', 'mpadded', 'mphantom', 'mfenced', 'menclose',
+            'munder', 'mover', 'munderover', 'mtable', 'mtr', 'mtd', 'mlabeledtr', 'mmultiscripts', 'mprescripts', 'none'
+        ]);
+        // Active or raw-text content, removed together with everything inside it
+        this.droppedTags = new Set([
+            'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript', 'template',
+            'form', 'textarea', 'select', 'option', 'button', 'svg', 'canvas', 'audio', 'video', 'meta', 'link',
+            'base', 'title', 'xmp', 'noembed', 'noframes', 'plaintext', 'portal', 'annotation-xml'
+        ]);
+
+        this.allowedAttributes = new Set([
+            'class', 'title', 'alt', 'lang', 'dir', 'colspan', 'rowspan', 'scope', 'start', 'value', 'reversed',
+            'type', 'checked', 'disabled', 'align', 'datetime', 'open', 'width', 'height',
+            // Markers the extractors and the content processor rely on
+            'data-testid', 'data-source-url', 'data-language', 'data-citation', 'data-math-mode', 'data-latex'
+        ]);
+        this.mathAttributes = new Set([
+            'display', 'alttext', 'mathvariant', 'encoding', 'stretchy', 'fence', 'separator', 'accent', 'accentunder',
+            'lspace', 'rspace', 'movablelimits', 'largeop', 'symmetric', 'minsize', 'maxsize', 'linethickness',
+            'scriptlevel', 'displaystyle', 'columnalign', 'rowalign', 'columnspacing', 'rowspacing', 'depth'
+        ]);
+        this.urlAttributes = {
+            a: ['href'],
+            img: ['src'],
+            blockquote: ['cite'],
+            q: ['cite'],
+            del: ['cite'],
+            ins: ['cite']
+        };
+        // Attributes that load or run something; their removal is reported, unlike page styling
+        this.unsafeAttributes = new Set(['srcset', 'xlink:href', 'href', 'src', 'action', 'formaction', 'background', 'ping', 'poster', 'lowsrc', 'dynsrc']);
+
+        this.removed = new Map();
+    }
+
+    /**
+     * Sanitize the children of a parsed element or document body in place
+     */
+    sanitize(root) {
+        for (const child of Array.from(root.childNodes)) {
+            if (child.nodeType === Node.TEXT_NODE) continue;
+            if (child.nodeType !== Node.ELEMENT_NODE) {
+                // Comments and processing instructions
+                child.remove();
+                continue;
+            }
+
+            const tag = child.localName.toLowerCase();
+            if (this.droppedTags.has(tag) || (tag === 'input' && (child.getAttribute('type') || '').toLowerCase() !== 'checkbox')) {
+                this.record(`<${tag}> element`);
+                child.remove();
+                continue;
+            }
+
+            this.sanitize(child);
+
+            if (!this.isAllowedElement(child, tag)) {
+                child.replaceWith(...child.childNodes);
+                continue;
+            }
+            this.sanitizeAttributes(child, tag);
+        }
+        return root;
+    }
+
+    /**
+     * Allowed tags count only in their own namespace, so markup cannot change meaning when re-parsed
+     */
+    isAllowedElement(element, tag) {
+        if (element.namespaceURI === MATHML_NAMESPACE) return this.allowedMathTags.has(tag);
+        return element.namespaceURI === HTML_NAMESPACE && this.allowedTags.has(tag);
+    }
+
+    sanitizeAttributes(element, tag) {
+        const isMath = element.namespaceURI === MATHML_NAMESPACE;
+
+        for (const attribute of Array.from(element.attributes)) {
+            const name = attribute.name.toLowerCase();
+
+            if (name.startsWith('on')) {
+                this.record('on* event handler attribute');
+                element.removeAttribute(attribute.name);
+                continue;
+            }
+
+            if ((this.urlAttributes[tag] || []).includes(name) && !isMath) {
+                const scheme = this.getBlockedScheme(attribute.value, tag, name);
+                if (scheme) {
+                    this.record(`${scheme} URL`);
+                    element.removeAttribute(attribute.name);
+                }
+                continue;
+            }
+
+            // Column alignment is the only styling tables need
+            if (name === 'style' && (tag === 'td' || tag === 'th')) {
+                const alignment = (attribute.value.match(/text-align\s*:\s*(left|center|right)\b/i) || [])[1];
+                if (alignment) {
+                    element.setAttribute('style', `text-align: ${alignment.toLowerCase()}`);
+                } else {
+                    element.removeAttribute(attribute.name);
+                }
+                continue;
+            }
+
+            if (this.allowedAttributes.has(name) || (isMath && this.mathAttributes.has(name))) continue;
+
+            if (this.unsafeAttributes.has(name)) {
+                this.record(`${name} attribute`);
+            }
+            element.removeAttribute(attribute.name);
+        }
+    }
+
+    /**
+     * Scheme of a URL this profile does not allow ("javascript:"), or null when the URL may stay.
+     * Relative URLs and fragments are allowed; data: URLs only for images of an allowed type.
+     */
+    getBlockedScheme(value, tag, name) {
+        // Browsers ignore control characters and whitespace inside a scheme ("java\nscript:")
+        const url = (value || '').replace(/[\u0000- \u007f-\u009f]/g, '');
+        const match = url.match(/^([a-z][a-z0-9+.-]*):/i);
+        if (!match) return null;
+
+        const scheme = `${match[1].toLowerCase()}:`;
+        if (scheme === 'data:') {
+            return tag === 'img' && name === 'src' && this.isAllowedDataImage(url) ? null : scheme;
+        }
+        return this.profile.urlSchemes.includes(scheme) ? null : scheme;
+    }
+
+    isAllowedDataImage(url) {
+        const type = (url.match(/^data:image\/([a-z0-9.+-]+)[;,]/i) || [])[1];
+        if (!type) return false;
+        return !this.profile.dataImageTypes || this.profile.dataImageTypes.includes(type.toLowerCase());
+    }
+
+    record(item) {
+        this.removed.set(item, (this.removed.get(item) || 0) + 1);
+    }
+
+    /**
+     * What was removed as unsafe so far
+     * @returns {Array<{removed: string, count: number}>}
+     */
+    getReport() {
+        return Array.from(this.removed, ([removed, count]) => ({ removed, count }));
+    }
+}
+
+// Export for use in the content processor
+if (typeof window !== 'undefined') {
+    window.HtmlSanitizer = HtmlSanitizer;
+}
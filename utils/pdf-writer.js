@@ -0,0 +1,442 @@
+// Universal LLM Conversation Exporter - PDF Writer
+// Lays out a conversation document model into a paginated PDF using the standard
+// PDF base fonts, so no font files or third-party libraries are needed. The base fonts
+// only cover WinAnsi (Western European) text; other characters are drawn as '?' and
+// listed in a warning on the title page and in the popup.
+
+class PdfWriter {
+    constructor() {
+        this.page = { width: 595.28, height: 841.89 }; // A4 in points
+        this.margin = { top: 64, right: 56, bottom: 64, left: 56 };
+
+        this.fonts = {
+            regular: { resource: 'F1', baseFont: 'Helvetica' },
+            bold: { resource: 'F2', baseFont: 'Helvetica-Bold' },
+            italic: { resource: 'F3', baseFont: 'Helvetica-Oblique' },
+            mono: { resource: 'F4', baseFont: 'Courier' }
+        };
+
+        // Advance widths (1/1000 em) for ASCII 32-126 from the Adobe core font metrics
+        this.widths = {
+            regular: [
+                278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+                556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+                1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+                667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+                333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+                556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+            ],
+            bold: [
+                278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+                556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+                975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+                667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+                333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+                611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+            ]
+        };
+
+        // Characters outside Latin-1 that WinAnsiEncoding still covers
+        this.winAnsiExtras = {
+            '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85,
+            '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a,
+            '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92,
+            '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+            '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c,
+            'ž': 0x9e, 'Ÿ': 0x9f
+        };
+
+        this.styles = {
+            paragraph: { font: 'regular', size: 10.5, leading: 15 },
+            heading: { font: 'bold', size: 13, leading: 18 },
+            code: { font: 'mono', size: 8.5, leading: 11 },
+            role: { font: 'bold', size: 11, leading: 16 },
+            footer: { font: 'regular', size: 8.5 }
+        };
+    }
+
+    /**
+     * Render a conversation document model to PDF bytes
+     * @param {Object} doc - { title, metadata: [[label, value]], messages: [{ role, model, timestamp, blocks }] }
+     * @returns {Uint8Array} - The PDF file
+     */
+    render(doc) {
+        this.unsupportedCharacters = this.findUnsupportedCharacters(doc);
+        this.pages = [];
+        this.newPage();
+        this.renderTitlePage(doc);
+
+        (doc.messages || []).forEach((message, index) => {
+            if (index === 0) {
+                this.newPage();
+            } else {
+                this.y -= 14;
+            }
+            this.renderMessage(message);
+        });
+
+        this.renderFooters();
+        return this.serialize(doc.title || 'Conversation');
+    }
+
+    renderTitlePage(doc) {
+        this.y = this.page.height - 220;
+        this.writeWrapped(doc.title || 'Conversation', { font: 'bold', size: 24, leading: 30 }, 0);
+
+        this.y -= 18;
+        (doc.metadata || []).forEach(([label, value]) => {
+            this.writeWrapped(`${label}: ${value}`, { font: 'regular', size: 11, leading: 16, color: '0.35 0.35 0.35' }, 0);
+        });
+
+        const warning = this.getUnsupportedCharactersWarning();
+        if (warning) {
+            this.y -= 18;
+            this.writeWrapped(warning, { font: 'bold', size: 11, leading: 16, color: '0.75 0.1 0.1' }, 0);
+        }
+    }
+
+    /**
+     * Characters of the document that WinAnsiEncoding cannot represent; they are drawn as '?'
+     * @returns {Array<string>}
+     */
+    findUnsupportedCharacters(doc) {
+        const found = new Set();
+        const visit = (value) => {
+            if (typeof value === 'string') {
+                for (const char of value) {
+                    if (!this.canEncode(char)) found.add(char);
+                }
+            } else if (value && typeof value === 'object') {
+                Object.values(value).forEach(visit);
+            }
+        };
+        visit(doc);
+        return Array.from(found);
+    }
+
+    canEncode(char) {
+        const code = char.codePointAt(0);
+        // Line breaks and tabs are laid out rather than drawn
+        return code < 127 || (code > 159 && code <= 255) || this.winAnsiExtras[char] !== undefined;
+    }
+
+    /**
+     * Notice for the title page and the popup when the base fonts cannot show some of the text
+     * (CJK, Cyrillic, Greek, emoji, ...), or null when every character can be shown
+     */
+    getUnsupportedCharactersWarning() {
+        const characters = this.unsupportedCharacters || [];
+        if (characters.length === 0) return null;
+
+        const examples = characters.slice(0, 5)
+            .map(char => `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`)
+            .join(', ');
+        const more = characters.length > 5 ? ', ...' : '';
+        return `${characters.length} different characters in this conversation (${examples}${more}) are not covered ` +
+            'by the PDF\'s built-in fonts and appear as "?". Export as HTML or Markdown to keep them.';
+    }
+
+    renderMessage(message) {
+        const headerText = [message.role, message.model, message.timestamp].filter(Boolean).join('  –  ');
+        const style = this.styles.role;
+
+        // Keep the role header together with at least a couple of lines of its message
+        this.ensureSpace(style.leading + 40);
+        const barHeight = style.leading + 6;
+        this.fillRect(this.margin.left, this.y - barHeight + 4, this.contentWidth(), barHeight, '0.93 0.93 0.93');
+        this.drawText(headerText, this.margin.left + 8, this.y - style.size, style.font, style.size, '0.2 0.2 0.2');
+        this.y -= barHeight + 8;
+
+        (message.blocks || []).forEach(block => this.renderBlock(block));
+    }
+
+    renderBlock(block) {
+        switch (block.type) {
+            case 'heading': {
+                const size = Math.max(11, 16 - (block.level || 3));
+                this.y -= 4;
+                this.ensureSpace(size * 3);
+                this.writeWrapped(block.text, { font: 'bold', size, leading: size + 5 }, 0);
+                this.y -= 2;
+                break;
+            }
+            case 'code':
+            case 'table':
+                this.renderCode(block);
+                break;
+            case 'list-item': {
+                const indent = 14 * (block.depth || 0);
+                this.writeWrapped(block.text, this.styles.paragraph, indent + 14, `${block.marker || '•'}`, indent);
+                this.y -= 2;
+                break;
+            }
+            case 'quote':
+                this.writeWrapped(block.text, { font: 'italic', size: 10.5, leading: 15, color: '0.35 0.35 0.35' }, 14, null, 0, true);
+                this.y -= 6;
+                break;
+            case 'rule':
+                this.ensureSpace(12);
+                this.strokeLine(this.margin.left, this.y - 6, this.margin.left + this.contentWidth(), this.y - 6);
+                this.y -= 12;
+                break;
+            default:
+                this.writeWrapped(block.text, this.styles.paragraph, 0);
+                this.y -= 6;
+        }
+    }
+
+    renderCode(block) {
+        const style = this.styles.code;
+        const padding = 6;
+        const gutter = 10;
+        const charWidth = 0.6 * style.size; // Courier is fixed pitch
+        const maxChars = Math.max(20, Math.floor((this.contentWidth() - padding * 2 - gutter) / charWidth));
+
+        // Hard-wrap long lines so nothing runs off the page; continuation lines are marked in the gutter
+        const lines = [];
+        (block.text || '').replace(/\t/g, '    ').split('\n').forEach(line => {
+            if (line.length === 0) {
+                lines.push({ text: '', continued: false });
+                return;
+            }
+            for (let start = 0; start < line.length; start += maxChars) {
+                lines.push({ text: line.substring(start, start + maxChars), continued: start > 0 });
+            }
+        });
+
+        if (block.language) {
+            this.ensureSpace(style.leading * 2);
+            this.drawText(block.language, this.margin.left, this.y - style.size, 'bold', 8, '0.45 0.45 0.45');
+            this.y -= style.leading;
+        }
+
+        this.y -= padding;
+        lines.forEach(line => {
+            if (this.ensureSpace(style.leading)) {
+                this.y -= padding;
+            }
+            this.fillRect(this.margin.left, this.y - style.leading + 2, this.contentWidth(), style.leading, '0.95 0.95 0.95');
+            if (line.continued) {
+                this.drawText('»', this.margin.left + 2, this.y - style.size, 'mono', style.size, '0.6 0.6 0.6');
+            }
+            this.drawText(line.text, this.margin.left + padding + gutter, this.y - style.size, 'mono', style.size, '0.1 0.1 0.1');
+            this.y -= style.leading;
+        });
+        this.y -= padding + 6;
+    }
+
+    /**
+     * Write word-wrapped text at the current position, breaking pages as needed
+     */
+    writeWrapped(text, style, indent = 0, marker = null, markerIndent = 0, quoteBar = false) {
+        const width = this.contentWidth() - indent;
+        const paragraphs = String(text || '').split('\n');
+        let first = true;
+
+        paragraphs.forEach(paragraph => {
+            const lines = this.wrapText(paragraph, style.font, style.size, width);
+            lines.forEach(line => {
+                this.ensureSpace(style.leading);
+                const baseline = this.y - style.size;
+                if (marker && first) {
+                    this.drawText(marker, this.margin.left + markerIndent, baseline, style.font, style.size, style.color);
+                }
+                if (quoteBar) {
+                    this.fillRect(this.margin.left + 2, this.y - style.leading + 3, 2, style.leading, '0.8 0.8 0.8');
+                }
+                this.drawText(line, this.margin.left + indent, baseline, style.font, style.size, style.color);
+                this.y -= style.leading;
+                first = false;
+            });
+        });
+    }
+
+    wrapText(text, font, size, width) {
+        const words = text.split(/(\s+)/).filter(part => part.length > 0);
+        const lines = [];
+        let current = '';
+
+        words.forEach(word => {
+            const candidate = current + word;
+            if (this.measure(candidate, font, size) <= width || current.trim() === '') {
+                // Break words that are wider than the whole line on their own
+                if (current.trim() === '' && this.measure(word, font, size) > width) {
+                    let chunk = '';
+                    for (const char of word) {
+                        if (this.measure(chunk + char, font, size) > width) {
+                            lines.push(chunk);
+                            chunk = '';
+                        }
+                        chunk += char;
+                    }
+                    current = chunk;
+                } else {
+                    current = candidate;
+                }
+            } else {
+                lines.push(current.trimEnd());
+                current = /^\s+$/.test(word) ? '' : word;
+            }
+        });
+
+        if (current.trim() || lines.length === 0) {
+            lines.push(current.trimEnd());
+        }
+        return lines;
+    }
+
+    measure(text, font, size) {
+        if (font === 'mono') {
+            return text.length * 0.6 * size;
+        }
+
+        const table = this.widths[font === 'bold' ? 'bold' : 'regular'];
+        let total = 0;
+        for (const char of text) {
+            // Measured as drawn: characters the base fonts lack are drawn as '?'
+            const code = this.canEncode(char) ? char.charCodeAt(0) : 63;
+            total += code >= 32 && code <= 126 ? table[code - 32] : 556;
+        }
+        return (total / 1000) * size;
+    }
+
+    contentWidth() {
+        return this.page.width - this.margin.left - this.margin.right;
+    }
+
+    newPage() {
+        this.current = [];
+        this.pages.push(this.current);
+        this.y = this.page.height - this.margin.top;
+    }
+
+    /**
+     * Start a new page if fewer than `height` points remain; returns true if it did
+     */
+    ensureSpace(height) {
+        if (this.y - height < this.margin.bottom) {
+            this.newPage();
+            return true;
+        }
+        return false;
+    }
+
+    drawText(text, x, y, font, size, color = '0 0 0') {
+        if (!text) return;
+        const resource = this.fonts[font].resource;
+        this.current.push(`BT ${color} rg /${resource} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${this.encodeText(text)}) Tj ET`);
+    }
+
+    fillRect(x, y, width, height, color) {
+        this.current.push(`${color} rg ${x.toFixed(2)} ${y.toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re f`);
+    }
+
+    strokeLine(x1, y1, x2, y2) {
+        this.current.push(`0.8 0.8 0.8 RG 0.5 w ${x1.toFixed(2)} ${y1.toFixed(2)} m ${x2.toFixed(2)} ${y2.toFixed(2)} l S`);
+    }
+
+    renderFooters() {
+        const total = this.pages.length;
+        this.pages.forEach((ops, index) => {
+            this.current = ops;
+            const label = `Page ${index + 1} of ${total}`;
+            const size = this.styles.footer.size;
+            const x = (this.page.width - this.measure(label, 'regular', size)) / 2;
+            this.drawText(label, x, this.margin.bottom / 2, 'regular', size, '0.5 0.5 0.5');
+        });
+    }
+
+    /**
+     * Encode text as a PDF literal string in WinAnsiEncoding
+     */
+    encodeText(text) {
+        let result = '';
+        for (const char of text) {
+            let code = char.charCodeAt(0);
+            if (this.winAnsiExtras[char] !== undefined) {
+                code = this.winAnsiExtras[char];
+            } else if (!this.canEncode(char) || (code < 32 && code !== 9)) {
+                code = 63; // '?' for characters the base fonts cannot show (see getUnsupportedCharactersWarning)
+            }
+
+            if (code === 40 || code === 41 || code === 92) {
+                result += '\\' + String.fromCharCode(code);
+            } else if (code > 126) {
+                result += '\\' + code.toString(8).padStart(3, '0');
+            } else {
+                result += String.fromCharCode(code);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Encode a document information string as UTF-16BE hex, which keeps every character of the title
+     */
+    encodeTextString(text) {
+        let hex = 'FEFF';
+        for (let i = 0; i < text.length; i++) {
+            hex += text.charCodeAt(i).toString(16).toUpperCase().padStart(4, '0');
+        }
+        return `<${hex}>`;
+    }
+
+    /**
+     * Assemble the PDF objects, cross-reference table and trailer
+     */
+    serialize(title) {
+        const objects = [];
+        const addObject = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = addObject(null);
+        const pagesId = addObject(null);
+        const fontIds = {};
+        Object.values(this.fonts).forEach(font => {
+            fontIds[font.resource] = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`);
+        });
+        const fontResources = Object.entries(fontIds).map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+
+        const pageIds = this.pages.map(ops => {
+            const stream = ops.join('\n');
+            const contentId = addObject(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+            return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.page.width} ${this.page.height}] ` +
+                `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+        const infoId = addObject(`<< /Title ${this.encodeTextString(title)} /Producer (LLM Conversation Exporter) >>`);
+
+        // Every character below is a single byte, so string offsets are byte offsets
+        let output = '%PDF-1.4\n%âãÏÓ\n';
+        const offsets = [];
+        objects.forEach((body, index) => {
+            offsets.push(output.length);
+            output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        });
+
+        const xrefOffset = output.length;
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        offsets.forEach(offset => {
+            output += `${String(offset).padStart(10, '0')} 00000 n \n`;
+        });
+        output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        const bytes = new Uint8Array(output.length);
+        for (let i = 0; i < output.length; i++) {
+            bytes[i] = output.charCodeAt(i) & 0xff;
+        }
+        return bytes;
+    }
+}
+
+// Export for use in other modules - Context aware
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfWriter;
+} else {
+    const globalScope = typeof window !== 'undefined' ? window : globalThis;
+    globalScope.PdfWriter = PdfWriter;
+}
@@ -0,0 +1,125 @@
+// Universal LLM Conversation Exporter - Platform Registry
+// The single list of supported chat platforms. The popup, the service worker, the content
+// processor and the extractors all read it. Adding a platform means adding an extractor file
+// and an entry here. Also copy its hostPermissions into manifest.json, since the manifest
+// cannot be generated; the service worker warns at startup if the two disagree.
+
+const SUPPORTED_PLATFORMS = [
+    {
+        id: 'chatgpt',
+        name: 'ChatGPT',
+        hosts: ['chat.openai.com', 'chatgpt.com'],
+        urlPatterns: [/^https?:\/\/chat\.openai\.com/, /^https?:\/\/chatgpt\.com/],
+        hostPermissions: ['*://chat.openai.com/*', '*://chatgpt.com/*'],
+        extractorFile: 'extractors/chatgpt-extractor.js'
+    },
+    {
+        id: 'claude',
+        name: 'Claude',
+        hosts: ['claude.ai'],
+        urlPatterns: [/^https?:\/\/claude\.ai/],
+        hostPermissions: ['*://claude.ai/*'],
+        extractorFile: 'extractors/claude-extractor.js'
+    },
+    {
+        id: 'gemini',
+        name: 'Gemini',
+        hosts: ['gemini.google.com'],
+        urlPatterns: [/^https?:\/\/gemini\.google\.com/],
+        hostPermissions: ['*://gemini.google.com/*'],
+        extractorFile: 'extractors/gemini-extractor.js'
+    },
+    {
+        id: 'grok',
+        name: 'Grok',
+        hosts: ['x.com', 'grok.com'],
+        urlPatterns: [/^https?:\/\/x\.com\/i\/grok/, /^https?:\/\/grok\.com\/c\//],
+        hostPermissions: ['*://x.com/i/grok*', '*://grok.com/c/*'],
+        extractorFile: 'extractors/grok-extractor.js'
+    }
+];
+
+// Injected into the page before every extractor, in this order
+const SHARED_CONTENT_SCRIPTS = [
+    'utils/platform-registry.js',
+    'utils/html-sanitizer.js',
+    'utils/content-processor.js',
+    'utils/conversation-lister.js',
+    'utils/history-loader.js',
+    'utils/version-walker.js',
+    'utils/attachment-collector.js',
+    'utils/artifact-collector.js',
+    'utils/citation-collector.js',
+    'extractors/base-extractor.js'
+];
+
+class PlatformRegistry {
+    constructor(platforms = SUPPORTED_PLATFORMS) {
+        this.platforms = platforms;
+    }
+
+    /**
+     * Get a platform entry by id, or null if it is not supported
+     */
+    get(id) {
+        return this.platforms.find(platform => platform.id === id) || null;
+    }
+
+    /**
+     * Find the platform a page URL belongs to
+     * @returns {Object|null} - The platform entry, or null for unsupported pages
+     */
+    detect(url) {
+        if (typeof url !== 'string') return null;
+        return this.platforms.find(platform => platform.urlPatterns.some(pattern => pattern.test(url))) || null;
+    }
+
+    getDisplayName(id) {
+        const platform = this.get(id);
+        return platform ? platform.name : null;
+    }
+
+    /**
+     * Check that a URL is an http(s) page on one of the supported platforms' hosts
+     */
+    isSupportedUrl(url) {
+        if (typeof url !== 'string') return false;
+
+        try {
+            const urlObj = new URL(url);
+            // Only allow https and http protocols
+            if (!['https:', 'http:'].includes(urlObj.protocol)) {
+                return false;
+            }
+
+            return this.platforms.some(platform => platform.hosts.some(domain =>
+                urlObj.hostname === domain || urlObj.hostname.endsWith('.' + domain)
+            ));
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Scripts to inject for extracting from a platform: shared utilities, then its extractor
+     */
+    getContentScripts(id) {
+        const platform = this.get(id);
+        return platform ? [...SHARED_CONTENT_SCRIPTS, platform.extractorFile] : [];
+    }
+
+    /**
+     * Host permissions every platform needs, to compare against manifest.json
+     */
+    getHostPermissions() {
+        return this.platforms.flatMap(platform => platform.hostPermissions);
+    }
+}
+
+// Export for use in other modules - Context aware
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlatformRegistry;
+} else {
+    const globalScope = typeof window !== 'undefined' ? window : globalThis;
+    globalScope.PlatformRegistry = PlatformRegistry;
+}
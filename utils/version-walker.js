@@ -0,0 +1,137 @@
+// Universal LLM Conversation Exporter - Message Version Walker
+// Steps through the "< 2 / 3 >" switcher of regenerated or edited messages to capture every version
+
+class VersionWalker {
+    constructor(options = {}) {
+        this.settleDelay = options.settleDelay || 700;
+        this.previousButton = options.previousButton;
+        this.nextButton = options.nextButton;
+        // Selector matching conversation turns, so the switcher search never reaches a neighbouring turn
+        this.turnSelector = options.turnSelector || null;
+    }
+
+    /**
+     * Capture every version of one conversation turn, then switch back to the version that was shown.
+     * The turn is looked up again after each click because the page re-renders it. A failure part way,
+     * or a turn that is gone after a click, only ends the walk: the versions captured so far are kept.
+     * @param {Function} getTurn - Returns the turn's current element
+     * @param {Function} capture - Turns the element into a message object
+     * @returns {Promise<{current: number, total: number, alternates: Array<Object>}|null>} - null for turns with one version
+     */
+    async collectVersions(getTurn, capture) {
+        const initial = this.readPosition(getTurn());
+        if (!initial || initial.total < 2) {
+            return null;
+        }
+
+        const alternates = [];
+        let position = initial.current;
+
+        try {
+            // Rewind to the first version, then step forward through all of them
+            while (position > 1 && await this.step(getTurn, this.previousButton)) {
+                position--;
+            }
+            while (true) {
+                if (position !== initial.current) {
+                    const turn = getTurn();
+                    if (!turn) break;
+                    const captured = capture(turn);
+                    if (captured) {
+                        alternates.push({ ...captured, version: position });
+                    }
+                }
+                if (position >= initial.total || !await this.step(getTurn, this.nextButton)) break;
+                position++;
+            }
+        } catch (error) {
+            console.warn(`VersionWalker: Stopped at version ${position} of ${initial.total}:`, error);
+        } finally {
+            await this.restore(getTurn, position, initial.current);
+        }
+
+        console.log(`VersionWalker: Captured ${alternates.length} other versions of a turn with ${initial.total} versions`);
+        return { current: initial.current, total: initial.total, alternates };
+    }
+
+    /**
+     * Leave the page showing the same branch as before the walk
+     */
+    async restore(getTurn, position, target) {
+        try {
+            while (position > target && await this.step(getTurn, this.previousButton)) {
+                position--;
+            }
+            while (position < target && await this.step(getTurn, this.nextButton)) {
+                position++;
+            }
+        } catch (error) {
+            console.warn('VersionWalker: Could not switch back to the version shown before:', error);
+        }
+    }
+
+    /**
+     * Click a switcher button of the turn and wait for the page to show the new version
+     */
+    async step(getTurn, buttonSelector) {
+        const scope = this.findSwitcherScope(getTurn());
+        const button = scope ? scope.querySelector(buttonSelector) : null;
+        if (!button || button.disabled) {
+            return false;
+        }
+
+        button.click();
+        await this.delay(this.settleDelay);
+        return true;
+    }
+
+    /**
+     * Read "2 / 3" from the switcher next to a turn
+     */
+    readPosition(turn) {
+        const scope = this.findSwitcherScope(turn);
+        if (!scope) return null;
+
+        for (const element of scope.querySelectorAll('span, div')) {
+            if (element.children.length > 0) continue;
+            const match = (element.textContent || '').trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+            if (match) {
+                return { current: Number(match[1]), total: Number(match[2]) };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The switcher is either inside the turn or in a toolbar just after it, so look upwards
+     * until an ancestor contains a switcher button
+     */
+    findSwitcherScope(turn) {
+        let current = turn;
+        for (let depth = 0; current && current !== document.body && depth < 6; depth++) {
+            if (current !== turn && this.containsOtherTurn(current, turn)) {
+                return null;
+            }
+            if (current.querySelector(this.previousButton) || current.querySelector(this.nextButton)) {
+                return current;
+            }
+            current = current.parentElement;
+        }
+        return null;
+    }
+
+    containsOtherTurn(element, turn) {
+        if (!this.turnSelector) return false;
+        return Array.from(element.querySelectorAll(this.turnSelector))
+            .some(other => !turn.contains(other) && !other.contains(turn));
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Export for use in extractors
+if (typeof window !== 'undefined') {
+    window.VersionWalker = VersionWalker;
+}
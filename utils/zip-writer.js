@@ -0,0 +1,191 @@
+// Universal LLM Conversation Exporter - ZIP Writer
+// Packs several files into one ZIP archive in the offscreen document. Entries are
+// compressed with the browser's built-in CompressionStream when it is available.
+
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+        this.usedPaths = new Set();
+        this.encoder = new TextEncoder();
+        this.crcTable = null;
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} path - Path inside the archive, using forward slashes
+     * @param {string|Uint8Array} data - File contents; strings are stored as UTF-8
+     * @returns {string} - The path the file was stored under, numbered if the path was taken
+     */
+    addFile(path, data) {
+        const bytes = typeof data === 'string' ? this.encoder.encode(data) : data;
+        const finalPath = this.uniquePath(this.normalizePath(path), this.usedPaths);
+        this.entries.push({ path: finalPath, bytes });
+        return finalPath;
+    }
+
+    /**
+     * Add a file given as a base64 data URL (how binary files travel through extension messaging)
+     */
+    addDataUrl(path, dataUrl) {
+        const base64 = dataUrl.substring(dataUrl.indexOf(',') + 1);
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return this.addFile(path, bytes);
+    }
+
+    /**
+     * Build the archive
+     * @returns {Promise<Uint8Array>} - The ZIP file
+     */
+    async generate() {
+        const chunks = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        for (const entry of this.entries) {
+            const nameBytes = this.encoder.encode(entry.path);
+            const crc = this.crc32(entry.bytes);
+            const { method, data } = await this.compress(entry.bytes);
+            const { time, date } = this.dosDateTime(new Date());
+
+            const localHeader = new DataView(new ArrayBuffer(30));
+            localHeader.setUint32(0, 0x04034b50, true);   // Local file header signature
+            localHeader.setUint16(4, 20, true);           // Version needed to extract
+            localHeader.setUint16(6, 0x0800, true);       // Flags: UTF-8 file names
+            localHeader.setUint16(8, method, true);
+            localHeader.setUint16(10, time, true);
+            localHeader.setUint16(12, date, true);
+            localHeader.setUint32(14, crc, true);
+            localHeader.setUint32(18, data.length, true);
+            localHeader.setUint32(22, entry.bytes.length, true);
+            localHeader.setUint16(26, nameBytes.length, true);
+            localHeader.setUint16(28, 0, true);
+
+            const centralHeader = new DataView(new ArrayBuffer(46));
+            centralHeader.setUint32(0, 0x02014b50, true); // Central directory signature
+            centralHeader.setUint16(4, 20, true);         // Version made by
+            centralHeader.setUint16(6, 20, true);
+            centralHeader.setUint16(8, 0x0800, true);
+            centralHeader.setUint16(10, method, true);
+            centralHeader.setUint16(12, time, true);
+            centralHeader.setUint16(14, date, true);
+            centralHeader.setUint32(16, crc, true);
+            centralHeader.setUint32(20, data.length, true);
+            centralHeader.setUint32(24, entry.bytes.length, true);
+            centralHeader.setUint16(28, nameBytes.length, true);
+            centralHeader.setUint32(42, offset, true);    // Offset of the local header
+
+            chunks.push(new Uint8Array(localHeader.buffer), nameBytes, data);
+            centralDirectory.push(new Uint8Array(centralHeader.buffer), nameBytes);
+            offset += 30 + nameBytes.length + data.length;
+        }
+
+        const directorySize = centralDirectory.reduce((size, chunk) => size + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);               // End of central directory signature
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        return this.concat([...chunks, ...centralDirectory, new Uint8Array(end.buffer)]);
+    }
+
+    /**
+     * Deflate the data if the browser supports it and it actually saves space
+     */
+    async compress(bytes) {
+        if (typeof CompressionStream === 'undefined' || bytes.length < 64) {
+            return { method: 0, data: bytes };
+        }
+
+        try {
+            const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+            const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+            if (compressed.length < bytes.length) {
+                return { method: 8, data: compressed };
+            }
+        } catch (error) {
+            console.warn('ZipWriter: compression failed, storing uncompressed:', error);
+        }
+        return { method: 0, data: bytes };
+    }
+
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Keep archive paths relative and free of traversal segments
+     */
+    normalizePath(path) {
+        const segments = String(path || 'file')
+            .replace(/\\/g, '/')
+            .split('/')
+            .map(segment => segment.replace(/[<>:"|?*\u0000-\u001f]/g, '_').trim())
+            .filter(segment => segment && segment !== '.' && segment !== '..');
+        return segments.join('/') || 'file';
+    }
+
+    /**
+     * Avoid duplicate entries by numbering repeated paths: name.txt, name (2).txt, ...
+     */
+    uniquePath(path, usedPaths) {
+        let candidate = path;
+        let counter = 2;
+        while (usedPaths.has(candidate)) {
+            const dot = path.lastIndexOf('.');
+            const hasExtension = dot > path.lastIndexOf('/') + 1;
+            candidate = hasExtension
+                ? `${path.substring(0, dot)} (${counter})${path.substring(dot)}`
+                : `${path} (${counter})`;
+            counter++;
+        }
+        usedPaths.add(candidate);
+        return candidate;
+    }
+
+    concat(chunks) {
+        const total = chunks.reduce((size, chunk) => size + chunk.length, 0);
+        const result = new Uint8Array(total);
+        let position = 0;
+        chunks.forEach(chunk => {
+            result.set(chunk, position);
+            position += chunk.length;
+        });
+        return result;
+    }
+}
+
+// Export for use in other modules - Context aware
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipWriter;
+} else {
+    const globalScope = typeof window !== 'undefined' ? window : globalThis;
+    globalScope.ZipWriter = ZipWriter;
+}